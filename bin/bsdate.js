@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview `bsdate` command-line entry point
+ * Runs the command in `src/cli.js` with the process arguments and streams.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { run } from "../src/cli.js";
+
+process.exitCode = run(process.argv.slice(2));
@@ -9,6 +9,10 @@ export default defineConfig([
     extends: ["js/recommended"],
     languageOptions: { globals: globals.browser },
   },
+  {
+    files: ["bin/**/*.js", "src/cli.js", "src/batch.js"],
+    languageOptions: { globals: { ...globals.node } },
+  },
   {
     files: ["**/*.test.js"],
     languageOptions: { globals: { ...globals.jest } },
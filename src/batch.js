@@ -0,0 +1,463 @@
+/**
+ * @fileoverview Batch Conversion for BS Date Library
+ * Converts date columns of CSV or NDJSON (newline-delimited JSON) records
+ * between BS and AD, as a Node.js stream transform or a one-shot helper, for
+ * migrating records with dates stored as strings.
+ *
+ * Rows that cannot be converted are left out of the output and reported
+ * through `"invalid"` events, so one bad row does not abort a migration. The
+ * reported `error` is the error raised by the conversion: a
+ * `BSDateOutOfRangeError` or `DateOutOfRangeError` with `field`, `value`,
+ * `min` and `max` details, an `Error` when a value does not match the pattern,
+ * a `SyntaxError` for a malformed NDJSON line or a CSV row with more fields
+ * than the header, or a `TypeError` for an NDJSON line that is not an object.
+ *
+ * This module depends on Node.js streams, so it is not exported from the main
+ * entry point; import it from `bs-date/batch`.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { Readable, Transform } from "node:stream";
+import { pipeline } from "node:stream/promises";
+import { StringDecoder } from "node:string_decoder";
+import BSDate from "./bs-date.js";
+import { adToBS } from "./date-utils.js";
+import { parseBSDate } from "./format.js";
+import { DateOutOfRangeError } from "./errors.js";
+
+/**
+ * Supported conversion directions.
+ *
+ * @constant
+ * @type {Array<string>}
+ */
+const DIRECTIONS = ["to-ad", "to-bs"];
+
+/**
+ * @typedef {Object} ColumnSpec
+ * @property {string} direction - "to-ad" converts BS values to AD, "to-bs" converts AD values to BS
+ * @property {string} [pattern] - Token pattern of the input values
+ * @property {string} [outputPattern] - Token pattern of BS output values
+ * @property {string} [output] - Column receiving the converted value (default: the input column)
+ */
+
+/**
+ * @typedef {Object} InvalidRow
+ * @property {number} line - Line of the input on which the row starts (1-based)
+ * @property {Object.<string, *>|null} record - The row's fields, or null if the row is malformed
+ * @property {string} [column] - The column that failed to convert
+ * @property {*} value - The rejected value, or the raw line or CSV fields of a malformed row
+ * @property {Error} error - The error raised by the conversion
+ */
+
+/**
+ * Creates the Date at UTC midnight of a calendar day. Unlike `Date.UTC()`, it
+ * does not read years 0-99 as 1900-1999.
+ *
+ * @private
+ * @param {number} year - The year
+ * @param {number} monthIndex - The month (0-11, overflowing into other years)
+ * @param {number} day - The day (overflowing into other months)
+ * @returns {Date} The date at UTC midnight
+ */
+function utcDate(year, monthIndex, day) {
+  const date = new Date(0);
+  date.setUTCFullYear(year, monthIndex, day);
+  return date;
+}
+
+/**
+ * Parses an AD date string with a token pattern. Only the numeric tokens
+ * (YYYY, YY, MM, M, DD and D) make sense for AD dates.
+ *
+ * @private
+ * @param {string} text - The AD date string
+ * @param {string} pattern - The token pattern
+ * @returns {Date} The date at UTC midnight
+ * @throws {Error} When the string does not match the pattern
+ * @throws {DateOutOfRangeError} When the month or day does not exist
+ */
+function parseADDate(text, pattern) {
+  const [year, month, day] = parseBSDate(text, pattern);
+  const days = utcDate(year, month, 0).getUTCDate();
+
+  if (month < 1 || month > 12) {
+    throw new DateOutOfRangeError(
+      `Month ${month} is out of valid range (1-12)`,
+      { field: "month", value: month, min: 1, max: 12 }
+    );
+  }
+  if (day < 1 || day > days) {
+    throw new DateOutOfRangeError(
+      `Day ${day} is out of valid range (1-${days}) for ${year}/${String(month).padStart(2, "0")}`,
+      { field: "day", value: day, min: 1, max: days }
+    );
+  }
+  return utcDate(year, month - 1, day);
+}
+
+/**
+ * Converts one date string.
+ *
+ * @private
+ * @param {string} value - The date string
+ * @param {ColumnSpec} spec - How to convert it
+ * @returns {string} The converted date
+ * @throws {Error} When the value cannot be converted
+ */
+function convertValue(value, { direction, pattern, outputPattern }) {
+  if (direction === "to-ad") {
+    return BSDate.parse(value, pattern)
+      .toAD({ timeZone: "UTC" })
+      .toISOString()
+      .slice(0, 10);
+  }
+  return adToBS(parseADDate(value, pattern), { timeZone: "UTC" }).format(
+    outputPattern
+  );
+}
+
+/**
+ * Normalizes the `columns` option to a list of column specs.
+ *
+ * @private
+ * @param {Object.<string, string|ColumnSpec>} columns - The columns option
+ * @param {{pattern: string, outputPattern: string}} defaults - Default patterns
+ * @returns {Array<ColumnSpec & {column: string}>} The column specs
+ * @throws {TypeError} When no columns are given
+ * @throws {RangeError} When a direction is not supported
+ */
+function columnSpecs(columns, defaults) {
+  if (columns === null || typeof columns !== "object") {
+    throw new TypeError("columns must map column names to directions");
+  }
+  const specs = Object.entries(columns).map(([column, spec]) => {
+    const options = typeof spec === "string" ? { direction: spec } : spec;
+    if (!DIRECTIONS.includes(options?.direction)) {
+      throw new RangeError(
+        `Unsupported direction "${options?.direction}" for column "${column}", expected "to-ad" or "to-bs"`
+      );
+    }
+    return { column, output: column, ...defaults, ...options };
+  });
+  if (specs.length === 0) {
+    throw new TypeError("columns must name at least one column");
+  }
+  return specs;
+}
+
+/**
+ * Converts the date columns of one record. Empty, null and missing values are
+ * copied unchanged.
+ *
+ * @private
+ * @param {Object.<string, *>} record - The record
+ * @param {Array<ColumnSpec & {column: string}>} specs - The column specs
+ * @returns {{record: Object.<string, *>}|{column: string, value: *, error: Error}}
+ * The converted record, or the value that failed to convert
+ */
+function convertRecord(record, specs) {
+  const converted = { ...record };
+  for (const spec of specs) {
+    const value = record[spec.column];
+    if (value === undefined || value === null || value === "") {
+      converted[spec.output] = value;
+      continue;
+    }
+    try {
+      converted[spec.output] = convertValue(String(value), spec);
+    } catch (error) {
+      return { column: spec.column, value, error };
+    }
+  }
+  return { record: converted };
+}
+
+/**
+ * Creates an incremental CSV parser (RFC 4180: quoted fields may contain
+ * commas, doubled quotes and line breaks). Blank lines are skipped.
+ *
+ * @private
+ * @param {function(Array<string>, number): void} onRecord - Receives each record and its line number
+ * @returns {{write: function(string): void, end: function(): void}} The parser
+ */
+function csvParser(onRecord) {
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let afterQuote = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== "") {
+      onRecord(record, recordLine);
+    }
+    record = [];
+    field = "";
+  };
+
+  return {
+    write(text) {
+      for (const char of text) {
+        if (inQuotes) {
+          if (char === '"') {
+            inQuotes = false;
+            afterQuote = true;
+            continue;
+          }
+          field += char;
+          line += char === "\n" ? 1 : 0;
+          continue;
+        }
+
+        switch (char) {
+          case '"':
+            // A doubled quote inside a quoted field is a literal quote
+            if (afterQuote) {
+              field += '"';
+            }
+            inQuotes = true;
+            break;
+          case ",":
+            record.push(field);
+            field = "";
+            break;
+          case "\r":
+            break;
+          case "\n":
+            endRecord();
+            line++;
+            recordLine = line;
+            break;
+          default:
+            field += char;
+        }
+        afterQuote = false;
+      }
+    },
+    end() {
+      if (inQuotes) {
+        throw new SyntaxError(
+          `Unterminated quoted field in the record starting on line ${recordLine}`
+        );
+      }
+      if (field !== "" || record.length > 0) {
+        endRecord();
+      }
+    },
+  };
+}
+
+/**
+ * Formats one CSV record, quoting fields that contain commas, quotes or line breaks.
+ *
+ * @private
+ * @param {Array<*>} values - The field values
+ * @returns {string} The CSV line, including its line break
+ */
+function csvLine(values) {
+  return `${values
+    .map((value) => {
+      const text = String(value ?? "");
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(",")}\n`;
+}
+
+/**
+ * Creates a stream transform that converts date columns of CSV or NDJSON text.
+ * The first CSV record is the header; converted values go to the `output`
+ * column of each spec, which is appended to the header when it is new.
+ *
+ * Rows that fail to convert are dropped and reported with an `"invalid"`
+ * event carrying an {@link InvalidRow}. Configuration problems, such as a
+ * column missing from the CSV header, fail the stream.
+ *
+ * @param {Object} options - Conversion options
+ * @param {Object.<string, string|ColumnSpec>} options.columns - Columns to convert, mapped to
+ * "to-ad", "to-bs" or a {@link ColumnSpec}
+ * @param {string} [options.format="csv"] - "csv" or "ndjson"
+ * @param {string} [options.pattern="YYYY-MM-DD"] - Default token pattern of the input values;
+ * AD values only support numeric tokens
+ * @param {string} [options.outputPattern="YYYY-MM-DD"] - Default token pattern of BS output values;
+ * AD output values are always "YYYY-MM-DD"
+ * @returns {Transform} A transform from input text to converted text
+ * @throws {TypeError} When no columns are given
+ * @throws {RangeError} When the format or a direction is not supported
+ * @example
+ * import { createReadStream, createWriteStream } from "node:fs";
+ * import { pipeline } from "node:stream/promises";
+ * import { createBatchTransform } from "bs-date/batch";
+ *
+ * const transform = createBatchTransform({
+ *   columns: { dob: { direction: "to-ad", pattern: "YYYY/MM/DD", output: "dob_ad" } },
+ * });
+ * transform.on("invalid", ({ line, column, error }) => {
+ *   console.error(`line ${line}, ${column}: ${error.message}`);
+ * });
+ * await pipeline(createReadStream("people.csv"), transform, createWriteStream("people-ad.csv"));
+ */
+export function createBatchTransform({
+  columns,
+  format = "csv",
+  pattern = "YYYY-MM-DD",
+  outputPattern = "YYYY-MM-DD",
+} = {}) {
+  if (!["csv", "ndjson"].includes(format)) {
+    throw new RangeError(
+      `Unsupported format "${format}", expected "csv" or "ndjson"`
+    );
+  }
+  const specs = columnSpecs(columns, { pattern, outputPattern });
+  const decoder = new StringDecoder("utf8");
+  let parser;
+
+  const transform = new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        parser.write(decoder.write(chunk));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        parser.write(decoder.end());
+        parser.end();
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+
+  const convert = (record, line) => {
+    const result = convertRecord(record, specs);
+    if (result.error) {
+      transform.emit("invalid", { line, record, ...result });
+      return null;
+    }
+    return result.record;
+  };
+
+  if (format === "csv") {
+    let header = null;
+    let outputHeader;
+    parser = csvParser((fields, line) => {
+      if (header === null) {
+        header = fields;
+        const missing = specs.find((spec) => !header.includes(spec.column));
+        if (missing) {
+          throw new Error(
+            `Column "${missing.column}" is not in the CSV header`
+          );
+        }
+        outputHeader = [
+          ...new Set([...header, ...specs.map((spec) => spec.output)]),
+        ];
+        transform.push(csvLine(outputHeader));
+        return;
+      }
+      if (fields.length > header.length) {
+        const error = new SyntaxError(
+          `Row has ${fields.length} fields but the header has ${header.length}`
+        );
+        transform.emit("invalid", { line, record: null, value: fields, error });
+        return;
+      }
+
+      const record = Object.fromEntries(
+        header.map((column, index) => [column, fields[index] ?? ""])
+      );
+      const converted = convert(record, line);
+      if (converted) {
+        transform.push(
+          csvLine(outputHeader.map((column) => converted[column]))
+        );
+      }
+    });
+  } else {
+    let buffer = "";
+    let line = 0;
+    const parseLine = (text) => {
+      line++;
+      if (text.trim() === "") {
+        return;
+      }
+      let record;
+      try {
+        record = JSON.parse(text);
+        if (
+          record === null ||
+          typeof record !== "object" ||
+          Array.isArray(record)
+        ) {
+          throw new TypeError(`Expected a JSON object, got ${text.trim()}`);
+        }
+      } catch (error) {
+        transform.emit("invalid", { line, record: null, value: text, error });
+        return;
+      }
+      const converted = convert(record, line);
+      if (converted) {
+        transform.push(`${JSON.stringify(converted)}\n`);
+      }
+    };
+    parser = {
+      write(text) {
+        const lines = (buffer + text).split("\n");
+        buffer = lines.pop();
+        lines.forEach(parseLine);
+      },
+      end() {
+        if (buffer !== "") {
+          parseLine(buffer);
+        }
+      },
+    };
+  }
+
+  return transform;
+}
+
+/**
+ * Converts date columns of a whole CSV or NDJSON document, collecting the
+ * rows that fail to convert.
+ *
+ * @param {string|Iterable<string|Buffer>|AsyncIterable<string|Buffer>} input - The input text,
+ * or a stream or iterable of chunks
+ * @param {Object} options - Conversion options, as for `createBatchTransform()`
+ * @returns {Promise<{output: string, invalid: Array<InvalidRow>}>} The converted text and the rejected rows
+ * @throws {TypeError} When no columns are given
+ * @throws {RangeError} When the format or a direction is not supported
+ * @example
+ * const { output, invalid } = await convertBatch(
+ *   "name,dob\nRam,2082-05-25\nSita,2082-13-01\n",
+ *   { columns: { dob: "to-ad" } }
+ * );
+ * output; // "name,dob\nRam,2025-09-10\n"
+ * invalid[0].error; // BSDateOutOfRangeError: Month 13 is out of valid range (1-12)
+ */
+export async function convertBatch(input, options) {
+  const transform = createBatchTransform(options);
+  const invalid = [];
+  const chunks = [];
+  transform.on("invalid", (row) => invalid.push(row));
+
+  await pipeline(
+    Readable.from(typeof input === "string" ? [input] : input),
+    transform,
+    async (source) => {
+      for await (const chunk of source) {
+        chunks.push(chunk);
+      }
+    }
+  );
+  return { output: chunks.join(""), invalid };
+}
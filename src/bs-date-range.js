@@ -0,0 +1,286 @@
+/**
+ * @fileoverview BS Date Range for BS Date Library
+ * Implements `BSDateRange`, an immutable, inclusive range of BS calendar days
+ * with containment and overlap checks, iteration by day, week or BS month and
+ * splitting into per-month chunks.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import BSDate from "./bs-date.js";
+import { monthLength } from "./calendar-data.js";
+
+/**
+ * Represents an inclusive range of Bikram Sambat dates, from `start` to `end`.
+ * Instances are frozen.
+ *
+ * @class BSDateRange
+ * @example
+ * const kartik = BSDateRange.ofMonth(2082, 7);
+ * kartik.lengthInDays(); // 30
+ * [...kartik].length; // 30
+ * kartik.contains(new BSDate(2082, 7, 15)); // true
+ */
+class BSDateRange {
+  /**
+   * Creates a new BSDateRange instance.
+   *
+   * @param {BSDate} start - The first day of the range
+   * @param {BSDate} end - The last day of the range
+   * @throws {TypeError} When either bound is not a BSDate
+   * @throws {RangeError} When `start` is after `end`
+   * @example
+   * new BSDateRange(new BSDate(2082, 7, 1), new BSDate(2082, 7, 15));
+   */
+  constructor(start, end) {
+    if (!(start instanceof BSDate) || !(end instanceof BSDate)) {
+      throw new TypeError("Range bounds must be BSDate instances");
+    }
+    if (start.isAfter(end)) {
+      throw new RangeError(`Range start ${start} is after its end ${end}`);
+    }
+
+    /** @type {BSDate} The first day of the range */
+    this.start = start;
+
+    /** @type {BSDate} The last day of the range */
+    this.end = end;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Creates the range covering a whole BS month.
+   *
+   * @static
+   * @param {number} year - BS year
+   * @param {number} month - BS month (1-12)
+   * @returns {BSDateRange} The month's range
+   * @throws {BSDateOutOfRangeError} When the year or month is invalid or out of range
+   * @example
+   * BSDateRange.ofMonth(2082, 7).toString(); // "2082-07-01/2082-07-30"
+   */
+  static ofMonth(year, month) {
+    const start = new BSDate(year, month, 1);
+    return new BSDateRange(start, start.addDays(monthLength(year, month) - 1));
+  }
+
+  /**
+   * Creates the range covering a whole BS year.
+   *
+   * @static
+   * @param {number} year - BS year
+   * @returns {BSDateRange} The year's range
+   * @throws {BSDateOutOfRangeError} When the year is out of range
+   * @example
+   * BSDateRange.ofYear(2082).lengthInDays(); // 365
+   */
+  static ofYear(year) {
+    const start = new BSDate(year, 1, 1);
+    return new BSDateRange(start, new BSDate(year, 12, monthLength(year, 12)));
+  }
+
+  /**
+   * Counts the days in the range, including both bounds.
+   *
+   * @returns {number} The number of days
+   * @example
+   * new BSDateRange(new BSDate(2082, 7, 1), new BSDate(2082, 7, 1)).lengthInDays(); // 1
+   */
+  lengthInDays() {
+    return this.end.diff(this.start) + 1;
+  }
+
+  /**
+   * Checks whether a date, or every day of another range, lies in this range.
+   *
+   * @param {BSDate|BSDateRange} other - The date or range to check
+   * @returns {boolean} True if it lies within this range
+   * @example
+   * const kartik = BSDateRange.ofMonth(2082, 7);
+   * kartik.contains(new BSDate(2082, 7, 30)); // true
+   * kartik.contains(new BSDateRange(new BSDate(2082, 7, 20), new BSDate(2082, 8, 5))); // false
+   */
+  contains(other) {
+    const [start, end] =
+      other instanceof BSDateRange ? [other.start, other.end] : [other, other];
+    return this.start.compareTo(start) <= 0 && end.compareTo(this.end) <= 0;
+  }
+
+  /**
+   * Checks whether this range shares at least one day with another range.
+   *
+   * @param {BSDateRange} other - The range to check
+   * @returns {boolean} True if the ranges overlap
+   * @example
+   * BSDateRange.ofMonth(2082, 7).overlaps(BSDateRange.ofMonth(2082, 8)); // false
+   */
+  overlaps(other) {
+    return (
+      this.start.compareTo(other.end) <= 0 &&
+      other.start.compareTo(this.end) <= 0
+    );
+  }
+
+  /**
+   * Gets the days shared by this range and another range.
+   *
+   * @param {BSDateRange} other - The other range
+   * @returns {BSDateRange|null} The shared range, or null if the ranges do not overlap
+   * @example
+   * const a = new BSDateRange(new BSDate(2082, 7, 1), new BSDate(2082, 7, 20));
+   * const b = new BSDateRange(new BSDate(2082, 7, 10), new BSDate(2082, 8, 5));
+   * a.intersection(b).toString(); // "2082-07-10/2082-07-20"
+   */
+  intersection(other) {
+    if (!this.overlaps(other)) {
+      return null;
+    }
+    return new BSDateRange(
+      this.start.isAfter(other.start) ? this.start : other.start,
+      this.end.isBefore(other.end) ? this.end : other.end
+    );
+  }
+
+  /**
+   * Iterates over the range in steps of days, weeks or BS months, starting at
+   * `start` and stopping at `end`. Monthly steps keep the day of the month of
+   * `start`, clamped to shorter months.
+   *
+   * @generator
+   * @param {string} [unit="day"] - One of "day", "week" or "month"
+   * @param {number} [step=1] - Number of units per step (a positive integer)
+   * @yields {BSDate} The dates in the range
+   * @throws {RangeError} When the unit or step is not supported
+   * @example
+   * [...BSDateRange.ofMonth(2082, 7).by("week")].map(String);
+   * // ["2082-07-01", "2082-07-08", "2082-07-15", "2082-07-22", "2082-07-29"]
+   */
+  *by(unit = "day", step = 1) {
+    if (!["day", "week", "month"].includes(unit)) {
+      throw new RangeError(
+        `Unsupported unit "${unit}", expected one of day, week or month`
+      );
+    }
+    if (!Number.isInteger(step) || step < 1) {
+      throw new RangeError(`Step must be a positive integer, got ${step}`);
+    }
+
+    const length = this.lengthInDays();
+    const months =
+      (this.end.year - this.start.year) * 12 +
+      this.end.month -
+      this.start.month;
+    for (let index = 0; ; index += step) {
+      // Step from the start each time, so that clamped months do not drift
+      let date;
+      if (unit === "month") {
+        // Stop before adding months past the end, which may be out of range
+        if (index > months) {
+          return;
+        }
+        date = this.start.addMonths(index);
+        if (date.isAfter(this.end)) {
+          return;
+        }
+      } else {
+        const days = unit === "week" ? index * 7 : index;
+        if (days >= length) {
+          return;
+        }
+        date = this.start.addDays(days);
+      }
+      yield date;
+    }
+  }
+
+  /**
+   * Iterates over every day of the range.
+   *
+   * @generator
+   * @yields {BSDate} The dates in the range
+   * @example
+   * for (const date of BSDateRange.ofMonth(2082, 7)) {
+   *   console.log(date.toString());
+   * }
+   */
+  *[Symbol.iterator]() {
+    yield* this.by("day");
+  }
+
+  /**
+   * Splits the range into one chunk per BS month it touches. The first and
+   * last chunks may be partial months.
+   *
+   * @returns {Array<BSDateRange>} The monthly chunks in order
+   * @example
+   * new BSDateRange(new BSDate(2082, 7, 20), new BSDate(2082, 9, 5))
+   *   .splitByMonth()
+   *   .map(String);
+   * // ["2082-07-20/2082-07-30", "2082-08-01/2082-08-30", "2082-09-01/2082-09-05"]
+   */
+  splitByMonth() {
+    const chunks = [];
+    let start = this.start;
+    for (;;) {
+      const monthEnd = new BSDate(
+        start.year,
+        start.month,
+        monthLength(start.year, start.month)
+      );
+      if (!monthEnd.isBefore(this.end)) {
+        chunks.push(new BSDateRange(start, this.end));
+        return chunks;
+      }
+      chunks.push(new BSDateRange(start, monthEnd));
+      start = monthEnd.addDays(1);
+    }
+  }
+
+  /**
+   * Checks whether another value is a BSDateRange with the same bounds.
+   *
+   * @param {*} other - The value to compare against
+   * @returns {boolean} True if both ranges cover the same days
+   */
+  equals(other) {
+    return (
+      other instanceof BSDateRange &&
+      this.start.equals(other.start) &&
+      this.end.equals(other.end)
+    );
+  }
+
+  /**
+   * Returns the range as an ISO 8601-style interval of BS dates.
+   *
+   * @returns {string} The range as "YYYY-MM-DD/YYYY-MM-DD"
+   * @example
+   * BSDateRange.ofMonth(2082, 7).toString(); // "2082-07-01/2082-07-30"
+   */
+  toString() {
+    return `${this.start}/${this.end}`;
+  }
+
+  /**
+   * Returns the JSON representation of the range.
+   *
+   * @returns {string} The range as "YYYY-MM-DD/YYYY-MM-DD"
+   */
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * @module BSDateRange
+ * @description Inclusive ranges of Bikram Sambat dates
+ */
+export default BSDateRange;
+
+/**
+ * Named export for convenience
+ */
+export { BSDateRange };
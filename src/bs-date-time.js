@@ -0,0 +1,422 @@
+/**
+ * @fileoverview BS Date Time - Bikram Sambat date with time of day
+ * Extends the calendar date of `BSDate` with hours, minutes, seconds and
+ * milliseconds on the Nepal wall clock, and converts to and from AD instants.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import BSDate from "./bs-date.js";
+import { BSDateOutOfRangeError } from "./errors.js";
+import { formatBSDate, parseBSDate } from "./format.js";
+import { defaultTimeZone } from "./config.js";
+import { zonedParts, zonedTimeToDate } from "./time-zone.js";
+import { formatRelativeTime } from "./relative-time.js";
+
+/**
+ * Number of milliseconds in each time unit.
+ *
+ * @constant
+ * @type {Object.<string, number>}
+ */
+const MILLISECONDS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Validates a time-of-day component.
+ *
+ * @private
+ * @param {string} field - The component name ("hours", "minutes", "seconds" or "milliseconds")
+ * @param {*} value - The component value
+ * @param {number} max - The largest accepted value
+ * @throws {BSDateOutOfRangeError} When the value is not an integer between 0 and `max`
+ */
+function validateTime(field, value, max) {
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    const label = field[0].toUpperCase() + field.slice(1);
+    throw new BSDateOutOfRangeError(
+      `${label} ${value} is out of valid range (0-${max})`,
+      { field, value, min: 0, max }
+    );
+  }
+}
+
+/**
+ * Validates an amount of time to add, as `BSDate#addDays()` does for days.
+ *
+ * @private
+ * @param {string} name - The argument name ("hours", "minutes", "seconds" or "milliseconds")
+ * @param {*} value - The argument value
+ * @throws {RangeError} When the value is not an integer
+ */
+function validateAmount(name, value) {
+  if (!Number.isInteger(value)) {
+    const label = name[0].toUpperCase() + name.slice(1);
+    throw new RangeError(`${label} must be an integer, got ${value}`);
+  }
+}
+
+/**
+ * BSDateTime class for handling Bikram Sambat dates with a time of day.
+ * The time is a wall-clock time in Nepal (Asia/Kathmandu) unless another time
+ * zone is passed when converting to or from an AD instant.
+ *
+ * @class BSDateTime
+ * @example
+ * // Check-in recorded at 04:45 UTC
+ * const checkIn = BSDateTime.fromAD(new Date("2025-09-10T04:45:00Z"));
+ * checkIn.toNepali(); // "भाद्र २५, २०८२ १०:३० बजे"
+ *
+ * // Move across BS day boundaries
+ * checkIn.addHours(14).toString(); // "2082-05-26T00:30:00.000"
+ */
+class BSDateTime {
+  /**
+   * Creates a new BSDateTime instance.
+   *
+   * @param {number} year - BS year (2000-2090)
+   * @param {number} month - BS month (1-12)
+   * @param {number} day - BS day (1-32, varies by month and year)
+   * @param {number} [hours=0] - Hours (0-23)
+   * @param {number} [minutes=0] - Minutes (0-59)
+   * @param {number} [seconds=0] - Seconds (0-59)
+   * @param {number} [milliseconds=0] - Milliseconds (0-999)
+   * @throws {BSDateOutOfRangeError} When any component is invalid or out of range
+   * @example
+   * const bsDateTime = new BSDateTime(2082, 5, 25, 10, 30);
+   */
+  constructor(
+    year,
+    month,
+    day,
+    hours = 0,
+    minutes = 0,
+    seconds = 0,
+    milliseconds = 0
+  ) {
+    // Validate the calendar date through BSDate
+    new BSDate(year, month, day);
+    validateTime("hours", hours, 23);
+    validateTime("minutes", minutes, 59);
+    validateTime("seconds", seconds, 59);
+    validateTime("milliseconds", milliseconds, 999);
+
+    /** @type {number} The BS year */
+    this.year = year;
+
+    /** @type {number} The BS month (1-12) */
+    this.month = month;
+
+    /** @type {number} The BS day */
+    this.day = day;
+
+    /** @type {number} Hours (0-23) */
+    this.hours = hours;
+
+    /** @type {number} Minutes (0-59) */
+    this.minutes = minutes;
+
+    /** @type {number} Seconds (0-59) */
+    this.seconds = seconds;
+
+    /** @type {number} Milliseconds (0-999) */
+    this.milliseconds = milliseconds;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Gets the calendar date without the time of day.
+   *
+   * @returns {BSDate} The BS date
+   * @example
+   * new BSDateTime(2082, 5, 25, 10, 30).toBSDate(); // BSDate { year: 2082, month: 5, day: 25 }
+   */
+  toBSDate() {
+    return new BSDate(this.year, this.month, this.day);
+  }
+
+  /**
+   * Converts the BS date and time to the AD instant it represents.
+   *
+   * @param {Object} [options={}] - Conversion options
+   * @param {string} [options.timeZone="Asia/Kathmandu"] - IANA time zone of the wall-clock time
+   * @returns {Date} The equivalent instant
+   * @throws {RangeError} When the time zone is not supported by the runtime
+   * @example
+   * new BSDateTime(2082, 5, 25, 10, 30).toAD(); // 2025-09-10T04:45:00.000Z
+   */
+  toAD({ timeZone = defaultTimeZone } = {}) {
+    const adDate = this.toBSDate().toAD({ timeZone: "UTC" });
+    return zonedTimeToDate(
+      {
+        year: adDate.getUTCFullYear(),
+        month: adDate.getUTCMonth() + 1,
+        day: adDate.getUTCDate(),
+        hours: this.hours,
+        minutes: this.minutes,
+        seconds: this.seconds,
+        milliseconds: this.milliseconds,
+      },
+      timeZone
+    );
+  }
+
+  /**
+   * Formats the BS date and time in Nepali script.
+   *
+   * @returns {string} The formatted date and time (e.g., "भाद्र २५, २०८२ १०:३० बजे")
+   * @example
+   * new BSDateTime(2082, 5, 25, 10, 30).toNepali(); // "भाद्र २५, २०८२ १०:३० बजे"
+   */
+  toNepali() {
+    return this.format("NMMMM ND, NYYYY NHH:Nmm [बजे]");
+  }
+
+  /**
+   * Formats the BS date and time according to a token pattern.
+   * See `format.js` for the full list of supported tokens.
+   *
+   * @param {string} [pattern="YYYY-MM-DDTHH:mm:ss.SSS"] - The token pattern
+   * @param {Object} [options={}] - Formatting options
+   * @param {string} [options.locale="ne-Latn"] - Locale pack for tokens without the `N` prefix
+   * @returns {string} The formatted date and time
+   * @throws {RangeError} When the locale is not registered
+   * @example
+   * const bsDateTime = new BSDateTime(2082, 5, 25, 14, 5);
+   * bsDateTime.format("YYYY-MM-DD HH:mm"); // "2082-05-25 14:05"
+   * bsDateTime.format("h:mm A"); // "2:05 PM"
+   * bsDateTime.format("Nh:Nmm NA"); // "२:०५ अपराह्न"
+   * bsDateTime.format("h:mm A", { locale: "ne" }); // "२:०५ अपराह्न"
+   */
+  format(pattern = "YYYY-MM-DDTHH:mm:ss.SSS", options) {
+    return formatBSDate(this, pattern, options);
+  }
+
+  /**
+   * Describes this date and time relative to now, or to `options.base`, in
+   * words. See `relative-time.js` for the units, thresholds and other options.
+   *
+   * @param {Object} [options={}] - Formatting options, as for `formatRelativeTime()`
+   * @returns {string} The relative time
+   * @example
+   * const base = new BSDateTime(2082, 5, 25, 14, 0);
+   * new BSDateTime(2082, 5, 25, 13, 55).fromNow({ base }); // "५ मिनेट अघि"
+   * new BSDateTime(2082, 5, 25, 17, 0).fromNow({ base, script: "roman" }); // "3 ghanta pachhi"
+   */
+  fromNow(options) {
+    return formatRelativeTime(this, options);
+  }
+
+  /**
+   * Gets the month name in Nepali or romanized format.
+   *
+   * @param {Object} [options={}] - Formatting options, as for `BSDate#monthName()`
+   * @returns {string} The month name
+   */
+  monthName(options) {
+    return this.toBSDate().monthName(options);
+  }
+
+  /**
+   * Gets the day name in various formats.
+   *
+   * @param {Object} [options={}] - Formatting options, as for `BSDate#dayName()`
+   * @returns {string} The day name
+   */
+  dayName(options) {
+    return this.toBSDate().dayName(options);
+  }
+
+  /**
+   * Returns a new BSDateTime moved by a number of milliseconds on the wall
+   * clock, carrying over into earlier or later BS days and months.
+   *
+   * @param {number} milliseconds - Milliseconds to add (negative to subtract)
+   * @returns {BSDateTime} A new BSDateTime instance
+   * @throws {RangeError} When the number of milliseconds is not an integer
+   * @throws {BSDateOutOfRangeError} When the result is out of range
+   * @example
+   * new BSDateTime(2082, 5, 31, 23, 59, 59, 999).addMilliseconds(1).toString(); // "2082-06-01T00:00:00.000"
+   */
+  addMilliseconds(milliseconds) {
+    validateAmount("milliseconds", milliseconds);
+    const timeOfDay =
+      this.hours * MILLISECONDS.hour +
+      this.minutes * MILLISECONDS.minute +
+      this.seconds * MILLISECONDS.second +
+      this.milliseconds +
+      milliseconds;
+    const days = Math.floor(timeOfDay / MILLISECONDS.day);
+    const remainder = timeOfDay - days * MILLISECONDS.day;
+    const { year, month, day } = this.toBSDate().addDays(days);
+
+    return new BSDateTime(
+      year,
+      month,
+      day,
+      Math.floor(remainder / MILLISECONDS.hour),
+      Math.floor(remainder / MILLISECONDS.minute) % 60,
+      Math.floor(remainder / MILLISECONDS.second) % 60,
+      remainder % MILLISECONDS.second
+    );
+  }
+
+  /**
+   * Returns a new BSDateTime moved by a number of seconds.
+   *
+   * @param {number} seconds - Seconds to add (negative to subtract)
+   * @returns {BSDateTime} A new BSDateTime instance
+   * @throws {RangeError} When the number of seconds is not an integer
+   * @throws {BSDateOutOfRangeError} When the result is out of range
+   */
+  addSeconds(seconds) {
+    validateAmount("seconds", seconds);
+    return this.addMilliseconds(seconds * MILLISECONDS.second);
+  }
+
+  /**
+   * Returns a new BSDateTime moved by a number of minutes.
+   *
+   * @param {number} minutes - Minutes to add (negative to subtract)
+   * @returns {BSDateTime} A new BSDateTime instance
+   * @throws {RangeError} When the number of minutes is not an integer
+   * @throws {BSDateOutOfRangeError} When the result is out of range
+   * @example
+   * new BSDateTime(2082, 5, 25, 23, 45).addMinutes(30).toString(); // "2082-05-26T00:15:00.000"
+   */
+  addMinutes(minutes) {
+    validateAmount("minutes", minutes);
+    return this.addMilliseconds(minutes * MILLISECONDS.minute);
+  }
+
+  /**
+   * Returns a new BSDateTime moved by a number of hours.
+   *
+   * @param {number} hours - Hours to add (negative to subtract)
+   * @returns {BSDateTime} A new BSDateTime instance
+   * @throws {RangeError} When the number of hours is not an integer
+   * @throws {BSDateOutOfRangeError} When the result is out of range
+   * @example
+   * new BSDateTime(2082, 4, 32, 20).addHours(6).toString(); // "2082-05-01T02:00:00.000"
+   */
+  addHours(hours) {
+    validateAmount("hours", hours);
+    return this.addMilliseconds(hours * MILLISECONDS.hour);
+  }
+
+  /**
+   * Checks whether another value is a BSDateTime representing the same moment.
+   *
+   * @param {*} other - The value to compare against
+   * @returns {boolean} True if both represent the same BS date and time
+   */
+  equals(other) {
+    return other instanceof BSDateTime && this.toString() === other.toString();
+  }
+
+  /**
+   * Returns the ISO-like string representation of the wall-clock date and time.
+   *
+   * @returns {string} The date and time as "YYYY-MM-DDTHH:mm:ss.SSS"
+   * @example
+   * new BSDateTime(2082, 5, 25, 10, 30).toString(); // "2082-05-25T10:30:00.000"
+   */
+  toString() {
+    return this.format();
+  }
+
+  /**
+   * Returns the JSON representation, used by `JSON.stringify()`.
+   *
+   * @returns {string} The date and time as "YYYY-MM-DDTHH:mm:ss.SSS"
+   */
+  toJSON() {
+    return this.toString();
+  }
+
+  /**
+   * Returns the AD instant in milliseconds since the Unix epoch, read in Nepal
+   * time, so relational operators and numeric sorting work.
+   *
+   * @returns {number} Milliseconds since 1970-01-01T00:00:00Z
+   */
+  valueOf() {
+    return this.toAD().getTime();
+  }
+
+  /**
+   * Creates a BSDateTime from an AD instant.
+   *
+   * @static
+   * @param {Date} adDate - The instant to convert
+   * @param {Object} [options={}] - Conversion options
+   * @param {string} [options.timeZone="Asia/Kathmandu"] - IANA time zone of the wall clock
+   * @returns {BSDateTime} A new BSDateTime instance
+   * @throws {DateOutOfRangeError} When the date is invalid or falls outside the supported range
+   * @throws {RangeError} When the time zone is not supported by the runtime
+   * @example
+   * BSDateTime.fromAD(new Date("2025-09-10T04:45:00Z")).toString(); // "2082-05-25T10:30:00.000"
+   */
+  static fromAD(adDate, { timeZone = defaultTimeZone } = {}) {
+    const { year, month, day } = BSDate.fromAD(adDate, { timeZone });
+    const { hours, minutes, seconds, milliseconds } = zonedParts(
+      adDate,
+      timeZone
+    );
+    return new BSDateTime(
+      year,
+      month,
+      day,
+      hours,
+      minutes,
+      seconds,
+      milliseconds
+    );
+  }
+
+  /**
+   * Gets the current BS date and time.
+   *
+   * @static
+   * @param {Object} [options={}] - Conversion options
+   * @param {string} [options.timeZone="Asia/Kathmandu"] - IANA time zone of the wall clock
+   * @returns {BSDateTime} A new BSDateTime instance for the current moment
+   */
+  static now({ timeZone = defaultTimeZone } = {}) {
+    return BSDateTime.fromAD(new Date(), { timeZone });
+  }
+
+  /**
+   * Creates a BSDateTime by parsing a string with a token pattern.
+   * Accepts the same tokens as `format()`.
+   *
+   * @static
+   * @param {string} text - The string to parse
+   * @param {string} [pattern="YYYY-MM-DDTHH:mm:ss.SSS"] - The token pattern
+   * @param {Object} [options={}] - Parsing options
+   * @param {string} [options.locale] - Locale pack whose names are accepted besides Nepali and romanized ones
+   * @returns {BSDateTime} A new BSDateTime instance
+   * @throws {Error} When the string does not match the pattern
+   * @throws {BSDateOutOfRangeError} When the parsed date or time is invalid
+   * @example
+   * BSDateTime.parse("२०८२-०५-२५ १०:३०", "YYYY-MM-DD HH:mm"); // 2082-05-25T10:30:00.000
+   */
+  static parse(text, pattern = "YYYY-MM-DDTHH:mm:ss.SSS", options) {
+    return new BSDateTime(...parseBSDate(text, pattern, options));
+  }
+}
+
+/**
+ * @module BSDateTime
+ * @description Export the BSDateTime class as the default export and named export
+ */
+export default BSDateTime;
+
+export { BSDateTime };
@@ -9,16 +9,34 @@
  */
 
 import julian from "julian";
-import { BSDateOutOfRangeError } from "./errors.js";
-import "./number-utils.js";
+import { BSDateOutOfRangeError, DateOutOfRangeError } from "./errors.js";
+import { formatBSDate, parseBSDate } from "./format.js";
 import {
-  monthDaysInBSYear,
-  epochJulianDays,
-  epochBS,
-  months,
-  weekdays,
-  weekdaysLocal,
-} from "./config.js";
+  bsToDays,
+  daysToBS,
+  firstYear,
+  lastYear,
+  monthLength,
+  supportedRange,
+} from "./calendar-data.js";
+import { toNepaliWords } from "./number-words.js";
+import { formatRelativeTime } from "./relative-time.js";
+import { epochJulianDays, epochADStart, defaultTimeZone } from "./config.js";
+import { zonedParts, zonedTimeToDate } from "./time-zone.js";
+import { holidaysOn } from "./holidays.js";
+import { workingDayPredicate } from "./business-days.js";
+import { extractDates } from "./extract.js";
+import { getLocale } from "./locales.js";
+import { tithiOf } from "./tithi.js";
+import { NepalSambatDate } from "./nepal-sambat.js";
+
+/**
+ * Number of milliseconds in a calendar day.
+ *
+ * @constant
+ * @type {number}
+ */
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
 
 /**
  * BSDate class for handling Bikram Sambat calendar dates.
@@ -34,22 +52,25 @@ import {
  *
  * // Format in Nepali
  * const nepaliDate = bsDate.toNepali(); // "भाद्र २५, २०८२"
+ *
+ * // Compare and sort
+ * [new BSDate(2082, 6, 1), bsDate].sort(BSDate.compare); // [2082-05-25, 2082-06-01]
  */
 class BSDate {
   /**
    * Creates a new BSDate instance.
+   * Instances are frozen value objects: derive new dates with `addDays()`,
+   * `addMonths()` and friends instead of assigning to the fields.
    *
    * @param {number} year - BS year (2000-2090)
    * @param {number} month - BS month (1-12)
    * @param {number} day - BS day (1-32, varies by month and year)
-   * @throws {Error} When year, month, or day is not provided
+   * @throws {BSDateOutOfRangeError} When year, month, or day is missing, invalid or out of range
    * @example
    * const bsDate = new BSDate(2082, 5, 25);
    */
   constructor(year, month, day) {
-    if (!year || !month || !day) {
-      throw new Error("Year, month, and day are required");
-    }
+    BSDate.#validate(year, month, day);
 
     /** @type {number} The BS year */
     this.year = year;
@@ -59,20 +80,34 @@ class BSDate {
 
     /** @type {number} The BS day */
     this.day = day;
+
+    Object.freeze(this);
   }
 
   /**
    * Converts the BS date to an Anno Domini (Gregorian) Date object.
+   * The result is the instant at which the BS day starts in the given time zone,
+   * which defaults to Nepal time (Asia/Kathmandu).
    *
+   * @param {Object} [options={}] - Conversion options
+   * @param {string} [options.timeZone="Asia/Kathmandu"] - IANA time zone of the day start
    * @returns {Date} The equivalent AD date
-   * @throws {BSDateOutOfRangeError} When the BS date is invalid or out of range
+   * @throws {RangeError} When the time zone is not supported by the runtime
    * @example
    * const bsDate = new BSDate(2082, 5, 25);
-   * const adDate = bsDate.toAD(); // 2025-09-10T00:00:00.000Z
+   * bsDate.toAD(); // 2025-09-09T18:15:00.000Z (midnight in Kathmandu)
+   * bsDate.toAD({ timeZone: "UTC" }); // 2025-09-10T00:00:00.000Z
    */
-  toAD() {
-    this.#validateBSDate();
-    return julian.toDate(this.#bsToJulianDays());
+  toAD({ timeZone = defaultTimeZone } = {}) {
+    const utcDate = julian.toDate(this.#bsToJulianDays());
+    return zonedTimeToDate(
+      {
+        year: utcDate.getUTCFullYear(),
+        month: utcDate.getUTCMonth() + 1,
+        day: utcDate.getUTCDate(),
+      },
+      timeZone
+    );
   }
 
   /**
@@ -84,24 +119,164 @@ class BSDate {
    * const nepaliDate = bsDate.toNepali(); // "भाद्र २५, २०८२"
    */
   toNepali() {
-    return `${this.monthName()} ${this.day.toNepali()}, ${this.year.toNepali()}`;
+    return this.toLocaleDateString("ne");
+  }
+
+  /**
+   * Formats the BS date with a locale pack's names, digits and date order.
+   * See `locales.js` for the built-in packs and for registering others.
+   *
+   * @param {string} [locale="ne"] - The locale code
+   * @returns {string} The formatted date
+   * @throws {RangeError} When the locale is not registered
+   * @example
+   * const bsDate = new BSDate(2082, 5, 25);
+   * bsDate.toLocaleDateString(); // "भाद्र २५, २०८२"
+   * bsDate.toLocaleDateString("en"); // "25 Bhadra 2082"
+   * bsDate.toLocaleDateString("ne-Latn-iast"); // "Bhādra 25, 2082"
+   */
+  toLocaleDateString(locale = "ne") {
+    return this.format(getLocale(locale).dateFormat, { locale });
+  }
+
+  /**
+   * Spells out the BS date in words, as written on cheques and legal documents.
+   *
+   * @param {Object} [options={}] - Spelling options
+   * @param {string} [options.script="devanagari"] - "devanagari" or "roman"
+   * @param {boolean} [options.weekday=true] - If true, ends with the day name
+   * @returns {string} The date in words
+   * @throws {RangeError} When the script is not supported
+   * @example
+   * const bsDate = new BSDate(2082, 5, 25);
+   * bsDate.toWords(); // "दुई हजार बयासी साल भाद्र पच्चीस गते बुधबार"
+   * bsDate.toWords({ script: "roman" }); // "dui hajar bayasi sal Bhadra pachchis gate Budhbar"
+   * bsDate.toWords({ weekday: false }); // "दुई हजार बयासी साल भाद्र पच्चीस गते"
+   */
+  toWords({ script = "devanagari", weekday = true } = {}) {
+    const romanized = script === "roman";
+    const words = [
+      toNepaliWords(this.year, { script }),
+      romanized ? "sal" : "साल",
+      this.monthName({ romanized }),
+      toNepaliWords(this.day, { script }),
+      romanized ? "gate" : "गते",
+    ];
+    if (weekday) {
+      words.push(this.dayName({ romanized }));
+    }
+    return words.join(" ");
+  }
+
+  /**
+   * Describes this date relative to today, or to `options.base`, in words.
+   * Dates are compared as BS calendar days. See `relative-time.js` for the
+   * units, thresholds and other options.
+   *
+   * @param {Object} [options={}] - Formatting options, as for `formatRelativeTime()`
+   * @returns {string} The relative time
+   * @example
+   * const base = new BSDate(2082, 5, 25);
+   * new BSDate(2082, 5, 22).fromNow({ base }); // "३ दिन अघि"
+   * new BSDate(2082, 5, 26).fromNow({ base }); // "भोलि"
+   * new BSDate(2082, 6, 25).fromNow({ base, script: "roman" }); // "arko mahina"
+   */
+  fromNow(options) {
+    return formatRelativeTime(this, options);
+  }
+
+  /**
+   * Formats the BS date according to a token pattern.
+   * See `format.js` for the full list of supported tokens.
+   *
+   * @param {string} [pattern="YYYY-MM-DD"] - The token pattern
+   * @param {Object} [options={}] - Formatting options
+   * @param {string} [options.locale="ne-Latn"] - Locale pack for tokens without the `N` prefix
+   * @returns {string} The formatted date
+   * @throws {RangeError} When the locale is not registered
+   * @example
+   * const bsDate = new BSDate(2082, 5, 25);
+   * bsDate.format(); // "2082-05-25"
+   * bsDate.format("dddd, MMMM D, YYYY"); // "Budhbar, Bhadra 25, 2082"
+   * bsDate.format("NYYYY/NMM/NDD"); // "२०८२/०५/२५"
+   * bsDate.format("Ndddd, NMMMM ND, NYYYY"); // "बुधबार, भाद्र २५, २०८२"
+   * bsDate.format("ddd, D MMM", { locale: "en" }); // "Wed, 25 Bha"
+   */
+  format(pattern = "YYYY-MM-DD", options) {
+    return formatBSDate(this, pattern, options);
+  }
+
+  /**
+   * Returns the ISO-like string representation of the BS date.
+   *
+   * @returns {string} The date as "YYYY-MM-DD"
+   * @example
+   * const bsDate = new BSDate(2082, 5, 25);
+   * bsDate.toString(); // "2082-05-25"
+   * `${bsDate}`; // "2082-05-25"
+   */
+  toString() {
+    return this.format("YYYY-MM-DD");
+  }
+
+  /**
+   * Returns the JSON representation of the BS date, used by `JSON.stringify()`.
+   *
+   * @returns {string} The date as "YYYY-MM-DD"
+   * @example
+   * JSON.stringify({ date: new BSDate(2082, 5, 25) }); // '{"date":"2082-05-25"}'
+   */
+  toJSON() {
+    return this.toString();
+  }
+
+  /**
+   * Returns the ordinal value of the BS date, its Julian Day Number.
+   * Consecutive days differ by one, so relational operators, subtraction
+   * and numeric sorting work on BSDate instances.
+   *
+   * @returns {number} The Julian Day Number of the date
+   * @example
+   * const a = new BSDate(2082, 5, 25);
+   * const b = new BSDate(2082, 6, 1);
+   * a < b; // true
+   * b - a; // 7
+   */
+  valueOf() {
+    return this.#bsToJulianDays() + 0.5;
   }
 
   /**
-   * Gets the month name in Nepali or romanized format.
+   * Gets the month name in Nepali, romanized or another locale's format.
    *
    * @param {Object} [options={}] - Formatting options
    * @param {boolean} [options.romanized=false] - If true, returns romanized month name
+   * @param {string} [options.locale] - Locale pack to take the name from
+   * @param {boolean} [options.short=false] - If true, returns the abbreviated name
    * @returns {string} The month name
+   * @throws {Error} When both romanized and locale are given
+   * @throws {RangeError} When the locale is not registered
    * @example
    * const bsDate = new BSDate(2082, 5, 25);
    * bsDate.monthName(); // "भाद्र"
    * bsDate.monthName({ romanized: true }); // "Bhadra"
+   * bsDate.monthName({ locale: "ne-Latn-iast" }); // "Bhādra"
+   * bsDate.monthName({ locale: "en", short: true }); // "Bha"
+   */
+  monthName({ romanized = false, locale, short = false } = {}) {
+    const pack = BSDate.#namesLocale({ romanized, locale });
+    return (short ? pack.monthsShort : pack.months)[this.month - 1];
+  }
+
+  /**
+   * Gets the day of the week, in the order of `weekdays` and `weekdaysLocal`.
+   *
+   * @returns {number} The weekday index (0 = Sunday/आइतबार, 6 = Saturday/शनिवार)
+   * @example
+   * new BSDate(2082, 5, 25).dayOfWeek(); // 3 (बुधबार)
    */
-  monthName({ romanized = false } = {}) {
-    return romanized
-      ? Object.values(months)[this.month - 1]
-      : Object.keys(months)[this.month - 1];
+  dayOfWeek() {
+    return this.#weekday();
   }
 
   /**
@@ -110,142 +285,1025 @@ class BSDate {
    * @param {Object} [options={}] - Formatting options
    * @param {boolean} [options.romanized=false] - If true, returns romanized day name
    * @param {boolean} [options.localized=false] - If true, returns English day name
+   * @param {string} [options.locale] - Locale pack to take the name from
+   * @param {boolean} [options.short=false] - If true, returns the abbreviated name
    * @returns {string} The day name
-   * @throws {Error} When both romanized and localized are true
+   * @throws {Error} When more than one of romanized, localized and locale are given
+   * @throws {RangeError} When the locale is not registered
    * @example
-   * const bsDate = new BSDate(2082, 5, 18);
+   * const bsDate = new BSDate(2082, 5, 25);
    * bsDate.dayName(); // "बुधबार"
    * bsDate.dayName({ romanized: true }); // "Budhbar"
    * bsDate.dayName({ localized: true }); // "Wednesday"
+   * bsDate.dayName({ locale: "ne-Latn-iast" }); // "Budhabāra"
+   * bsDate.dayName({ short: true }); // "बुध"
    */
-  dayName({ romanized = false, localized = false } = {}) {
-    if (romanized && localized) {
-      throw new Error(
-        "You must provide exactly one of :romanized or :localized"
-      );
+  dayName({
+    romanized = false,
+    localized = false,
+    locale,
+    short = false,
+  } = {}) {
+    const pack = BSDate.#namesLocale({ romanized, localized, locale });
+    return (short ? pack.weekdaysShort : pack.weekdays)[this.#weekday()];
+  }
+
+  /**
+   * Gets the holidays registered for this date.
+   * See `holidays.js` for the built-in national holidays and for registering
+   * festivals and organisation-specific days off.
+   *
+   * @returns {Array<import("./holidays.js").Holiday>} The holidays on this date (empty if none)
+   * @example
+   * new BSDate(2082, 6, 3).holidays(); // [{ name: "संविधान दिवस", englishName: "Constitution Day", type: "national" }]
+   */
+  holidays() {
+    return holidaysOn(this.year, this.month, this.day);
+  }
+
+  /**
+   * Gets the lunar day (tithi) and paksha prevailing at sunrise in Kathmandu
+   * on this date. See `tithi.js` for how it is computed.
+   *
+   * @param {Object} [options={}] - Naming options
+   * @param {string} [options.script="devanagari"] - "devanagari" or "roman"
+   * @returns {import("./tithi.js").Tithi} The tithi
+   * @throws {RangeError} When the script is not supported
+   * @example
+   * new BSDate(2082, 6, 16).tithi(); // { number: 10, day: 10, paksha: "shukla", name: "दशमी", pakshaName: "शुक्ल पक्ष", endsAt: 2025-10-02T13:42:10.891Z }
+   * new BSDate(2082, 1, 29).tithi({ script: "roman" }).name; // "Purnima"
+   */
+  tithi(options) {
+    return tithiOf(this, options);
+  }
+
+  /**
+   * Converts this date to the lunar Nepal Sambat calendar.
+   * See `nepal-sambat.js` for how months and years are reckoned.
+   *
+   * @returns {NepalSambatDate} The Nepal Sambat date of this day
+   * @example
+   * new BSDate(2082, 7, 6).toNepalSambat().format(); // "ने.सं. ११४६ कछला थ्व पारु"
+   */
+  toNepalSambat() {
+    return new NepalSambatDate(this);
+  }
+
+  /**
+   * Checks whether any holiday is registered for this date.
+   *
+   * @returns {boolean} True if this date is a holiday
+   * @example
+   * new BSDate(2082, 6, 3).isHoliday(); // true
+   * new BSDate(2082, 6, 4).isHoliday(); // false
+   */
+  isHoliday() {
+    return this.holidays().length > 0;
+  }
+
+  /**
+   * Returns a new BSDate moved forward or backward by a number of days.
+   *
+   * @param {number} days - Number of days to add (negative to subtract)
+   * @returns {BSDate} A new BSDate instance
+   * @throws {RangeError} When the number of days is not an integer
+   * @throws {BSDateOutOfRangeError} When the result is out of range
+   * @example
+   * const bsDate = new BSDate(2082, 5, 31);
+   * bsDate.addDays(1); // BSDate { year: 2082, month: 6, day: 1 }
+   * bsDate.addDays(-31); // BSDate { year: 2082, month: 4, day: 32 }
+   */
+  addDays(days) {
+    if (!Number.isInteger(days)) {
+      throw new RangeError(`Days must be an integer, got ${days}`);
+    }
+    const [year, month, day] = BSDate.#julianDaysToBS(
+      this.#bsToJulianDays() + days
+    );
+    return new BSDate(year, month, day);
+  }
+
+  /**
+   * Checks whether this date is a working day, i.e. neither a weekend day nor
+   * a holiday. See `business-days.js` for the weekend and holiday options.
+   *
+   * @param {Object} [options={}] - Business day options
+   * @param {Array<number|string>} [options.weekend=[6]] - Weekend days as indices (0 = Sunday) or names
+   * @param {Array<BSDate|string>} [options.holidays] - Non-working dates; defaults to registered holidays
+   * @returns {boolean} True if this date is a working day
+   * @example
+   * new BSDate(2082, 5, 25).isWorkingDay(); // true (बुधबार)
+   * new BSDate(2082, 6, 3).isWorkingDay(); // false (संविधान दिवस)
+   * new BSDate(2082, 5, 1).isWorkingDay({ weekend: ["शनिवार", "आइतबार"] }); // false
+   */
+  isWorkingDay(options) {
+    return workingDayPredicate(options)(this);
+  }
+
+  /**
+   * Returns a new BSDate moved forward or backward by a number of working days,
+   * skipping weekend days and holidays. Adding zero returns this date even when
+   * it is not a working day.
+   *
+   * @param {number} days - Number of working days to add (negative to subtract)
+   * @param {Object} [options={}] - Business day options, as for `isWorkingDay()`
+   * @returns {BSDate} A new BSDate instance
+   * @throws {RangeError} When the number of days is not an integer
+   * @throws {BSDateOutOfRangeError} When the result is out of range
+   * @example
+   * const bsDate = new BSDate(2082, 5, 27); // शुक्रबार
+   * bsDate.addBusinessDays(1); // BSDate { year: 2082, month: 5, day: 29 }
+   * bsDate.addBusinessDays(1, { weekend: [0, 6] }); // BSDate { year: 2082, month: 5, day: 30 }
+   */
+  addBusinessDays(days, options) {
+    if (!Number.isInteger(days)) {
+      throw new RangeError(`Days must be an integer, got ${days}`);
+    }
+    const isWorkingDay = workingDayPredicate(options);
+    const step = Math.sign(days);
+    let date = this;
+    for (let remaining = Math.abs(days); remaining > 0; ) {
+      date = date.addDays(step);
+      if (isWorkingDay(date)) {
+        remaining--;
+      }
+    }
+    return date;
+  }
+
+  /**
+   * Returns a new BSDate moved forward or backward by a number of BS months.
+   * The day is clamped to the length of the target month, so the 32nd of a
+   * month becomes the 31st when the target month only has 31 days.
+   *
+   * @param {number} months - Number of months to add (negative to subtract)
+   * @returns {BSDate} A new BSDate instance
+   * @throws {RangeError} When the number of months is not an integer
+   * @throws {BSDateOutOfRangeError} When the result is out of range
+   * @example
+   * const bsDate = new BSDate(2082, 4, 32);
+   * bsDate.addMonths(1); // BSDate { year: 2082, month: 5, day: 31 }
+   * bsDate.addMonths(-12); // BSDate { year: 2081, month: 4, day: 32 }
+   */
+  addMonths(months) {
+    if (!Number.isInteger(months)) {
+      throw new RangeError(`Months must be an integer, got ${months}`);
+    }
+    const monthIndex = this.year * 12 + this.month - 1 + months;
+    const year = Math.floor(monthIndex / 12);
+    const month = monthIndex - year * 12 + 1;
+
+    BSDate.#validate(year, month, 1);
+    const day = Math.min(this.day, monthLength(year, month));
+    return new BSDate(year, month, day);
+  }
+
+  /**
+   * Returns a new BSDate moved forward or backward by a number of BS years.
+   * The day is clamped to the length of the month in the target year.
+   *
+   * @param {number} years - Number of years to add (negative to subtract)
+   * @returns {BSDate} A new BSDate instance
+   * @throws {RangeError} When the number of years is not an integer
+   * @throws {BSDateOutOfRangeError} When the result is out of range
+   * @example
+   * const bsDate = new BSDate(2081, 3, 32);
+   * bsDate.addYears(1); // BSDate { year: 2082, month: 3, day: 31 }
+   */
+  addYears(years) {
+    if (!Number.isInteger(years)) {
+      throw new RangeError(`Years must be an integer, got ${years}`);
+    }
+    return this.addMonths(years * 12);
+  }
+
+  /**
+   * Calculates the difference between this date and another BS date.
+   * The result is positive when this date is after `other`. Weeks, months
+   * and years are truncated towards zero, so only complete units are counted;
+   * months and years follow BS month lengths.
+   *
+   * @param {BSDate} other - The date to compare against
+   * @param {string} [unit="days"] - One of "days", "weeks", "months" or "years"
+   * @returns {number} The difference in the requested unit
+   * @throws {Error} When the unit is not supported
+   * @example
+   * const bsDate = new BSDate(2082, 5, 25);
+   * bsDate.diff(new BSDate(2082, 4, 25)); // 32
+   * bsDate.diff(new BSDate(2082, 4, 25), "months"); // 1
+   * bsDate.diff(new BSDate(2083, 5, 24), "years"); // 0
+   */
+  diff(other, unit = "days") {
+    const days = this.#bsToJulianDays() - other.#bsToJulianDays();
+
+    switch (unit) {
+      case "days":
+        return days;
+      case "weeks":
+        return Math.trunc(days / 7) || 0;
+      case "months":
+        return this.#monthsSince(other);
+      case "years":
+        return Math.trunc(this.#monthsSince(other) / 12) || 0;
+      default:
+        throw new Error(
+          `Unsupported unit "${unit}", expected one of days, weeks, months or years`
+        );
+    }
+  }
+
+  /**
+   * Counts the complete BS months between another date and this date.
+   *
+   * @private
+   * @param {BSDate} other - The starting date
+   * @returns {number} The number of complete months, negative if `other` is later
+   */
+  #monthsSince(other) {
+    let months = (this.year - other.year) * 12 + (this.month - other.month);
+    const target = this.#bsToJulianDays();
+    const reached = other.addMonths(months).#bsToJulianDays();
+
+    if (months > 0 && reached > target) {
+      months--;
+    } else if (months < 0 && reached < target) {
+      months++;
     }
-    const adDate = this.toAD();
-    if (localized) {
-      return weekdaysLocal[adDate.getDay()];
+    return months;
+  }
+
+  /**
+   * Gets the first day of the week, month, quarter or year this date falls in.
+   * Quarters are BS calendar quarters (Baisakh-Asar, Shrawan-Ashwin,
+   * Kartik-Poush and Magh-Chaitra); see `startOfFiscalYear()` for the fiscal year.
+   *
+   * @param {string} unit - One of "week", "month", "quarter" or "year"
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.weekStartsOn=0] - First day of the week (0 = Sunday, 6 = Saturday)
+   * @returns {BSDate} A new BSDate instance
+   * @throws {RangeError} When the unit or `weekStartsOn` is not supported
+   * @throws {BSDateOutOfRangeError} When the week starts before the supported range
+   * @example
+   * const bsDate = new BSDate(2082, 5, 25);
+   * bsDate.startOf("month"); // BSDate { year: 2082, month: 5, day: 1 }
+   * bsDate.startOf("quarter"); // BSDate { year: 2082, month: 4, day: 1 }
+   * bsDate.startOf("week"); // BSDate { year: 2082, month: 5, day: 22 }
+   */
+  startOf(unit, { weekStartsOn = 0 } = {}) {
+    switch (BSDate.#navigationUnit(unit)) {
+      case "week":
+        BSDate.#validateWeekStart(weekStartsOn);
+        return this.addDays(-((this.#weekday() - weekStartsOn + 7) % 7));
+      case "month":
+        return new BSDate(this.year, this.month, 1);
+      case "quarter":
+        return new BSDate(this.year, this.month - ((this.month - 1) % 3), 1);
+      case "year":
+        return new BSDate(this.year, 1, 1);
+    }
+  }
+
+  /**
+   * Gets the last day of the week, month, quarter or year this date falls in.
+   * Quarters are BS calendar quarters, as in `startOf()`.
+   *
+   * @param {string} unit - One of "week", "month", "quarter" or "year"
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.weekStartsOn=0] - First day of the week (0 = Sunday, 6 = Saturday)
+   * @returns {BSDate} A new BSDate instance
+   * @throws {RangeError} When the unit or `weekStartsOn` is not supported
+   * @throws {BSDateOutOfRangeError} When the week ends after the supported range
+   * @example
+   * const bsDate = new BSDate(2082, 5, 25);
+   * bsDate.endOf("month"); // BSDate { year: 2082, month: 5, day: 31 }
+   * bsDate.endOf("year"); // BSDate { year: 2082, month: 12, day: 30 }
+   * bsDate.endOf("week"); // BSDate { year: 2082, month: 5, day: 28 }
+   */
+  endOf(unit, { weekStartsOn = 0 } = {}) {
+    switch (BSDate.#navigationUnit(unit)) {
+      case "week":
+        return this.startOf("week", { weekStartsOn }).addDays(6);
+      case "month":
+        return new BSDate(
+          this.year,
+          this.month,
+          monthLength(this.year, this.month)
+        );
+      case "quarter": {
+        const month = this.month - ((this.month - 1) % 3) + 2;
+        return new BSDate(this.year, month, monthLength(this.year, month));
+      }
+      case "year":
+        return new BSDate(this.year, 12, monthLength(this.year, 12));
     }
+  }
+
+  /**
+   * Gets the day number within the BS year, counting Baisakh 1 as day 1.
+   *
+   * @returns {number} The day of the year (1-366)
+   * @example
+   * new BSDate(2082, 1, 1).dayOfYear(); // 1
+   * new BSDate(2082, 2, 1).dayOfYear(); // 31
+   */
+  dayOfYear() {
+    return (
+      bsToDays(this.year, this.month, this.day) - bsToDays(this.year, 1, 1) + 1
+    );
+  }
+
+  /**
+   * Gets the week number within the BS year. Week 1 is the week containing
+   * Baisakh 1, and each new week begins on `weekStartsOn`, matching the rows
+   * of a wall calendar.
+   *
+   * @param {Object} [options={}] - Options
+   * @param {number} [options.weekStartsOn=0] - First day of the week (0 = Sunday, 6 = Saturday)
+   * @returns {number} The week of the year (1-53)
+   * @throws {RangeError} When `weekStartsOn` is not an integer from 0 to 6
+   * @example
+   * new BSDate(2082, 1, 1).weekOfYear(); // 1
+   * new BSDate(2082, 5, 25).weekOfYear(); // 22
+   */
+  weekOfYear({ weekStartsOn = 0 } = {}) {
+    BSDate.#validateWeekStart(weekStartsOn);
+    const leading = (this.startOf("year").#weekday() - weekStartsOn + 7) % 7;
+    return Math.floor((leading + this.dayOfYear() - 1) / 7) + 1;
+  }
+
+  /**
+   * Checks whether this date is the last day of its BS month.
+   *
+   * @returns {boolean} True if the next day starts a new month
+   * @example
+   * new BSDate(2082, 5, 31).isLastDayOfMonth(); // true
+   * new BSDate(2082, 5, 30).isLastDayOfMonth(); // false
+   */
+  isLastDayOfMonth() {
+    return this.day === monthLength(this.year, this.month);
+  }
+
+  /**
+   * Gets the Nepali fiscal year (आर्थिक वर्ष) this date falls in. The fiscal
+   * year runs from Shrawan 1 to the last day of Asar of the following year.
+   *
+   * @returns {string} The fiscal year label, e.g. "2082/83"
+   * @example
+   * new BSDate(2082, 4, 1).fiscalYear(); // "2082/83"
+   * new BSDate(2082, 3, 31).fiscalYear(); // "2081/82"
+   */
+  fiscalYear() {
+    const startYear = this.#fiscalYearStart();
+    return `${startYear}/${String((startYear + 1) % 100).padStart(2, "0")}`;
+  }
+
+  /**
+   * Gets the quarter of the fiscal year this date falls in: Shrawan-Ashwin is
+   * the first quarter, Kartik-Poush the second, Magh-Chaitra the third and
+   * Baisakh-Asar the fourth.
+   *
+   * @returns {number} The fiscal quarter (1-4)
+   * @example
+   * new BSDate(2082, 5, 25).fiscalQuarter(); // 1
+   * new BSDate(2082, 1, 1).fiscalQuarter(); // 4
+   */
+  fiscalQuarter() {
+    return Math.floor(((this.month + 8) % 12) / 3) + 1;
+  }
+
+  /**
+   * Gets the first day (Shrawan 1) of the fiscal year this date falls in.
+   *
+   * @returns {BSDate} A new BSDate instance
+   * @throws {BSDateOutOfRangeError} When the fiscal year starts before the supported range
+   * @example
+   * new BSDate(2082, 5, 25).startOfFiscalYear(); // BSDate { year: 2082, month: 4, day: 1 }
+   */
+  startOfFiscalYear() {
+    return BSDate.#fiscalYearBounds(this.#fiscalYearStart()).start;
+  }
+
+  /**
+   * Gets the last day of Asar ending the fiscal year this date falls in.
+   *
+   * @returns {BSDate} A new BSDate instance
+   * @throws {BSDateOutOfRangeError} When the fiscal year ends after the supported range
+   * @example
+   * new BSDate(2082, 5, 25).endOfFiscalYear(); // BSDate { year: 2083, month: 3, day: 32 }
+   */
+  endOfFiscalYear() {
+    return BSDate.#fiscalYearBounds(this.#fiscalYearStart()).end;
+  }
+
+  /**
+   * Gets the BS year in which this date's fiscal year starts.
+   *
+   * @private
+   * @returns {number} The BS year of the fiscal year's Shrawan 1
+   */
+  #fiscalYearStart() {
+    return this.month >= 4 ? this.year : this.year - 1;
+  }
+
+  /**
+   * Checks whether another value is a BSDate representing the same day.
+   *
+   * @param {*} other - The value to compare against
+   * @returns {boolean} True if both represent the same BS date
+   * @example
+   * new BSDate(2082, 5, 25).equals(new BSDate(2082, 5, 25)); // true
+   */
+  equals(other) {
+    return (
+      other instanceof BSDate &&
+      this.year === other.year &&
+      this.month === other.month &&
+      this.day === other.day
+    );
+  }
+
+  /**
+   * Compares this date with another BS date.
+   *
+   * @param {BSDate} other - The date to compare against
+   * @returns {number} -1 if this date is earlier, 1 if it is later, 0 if equal
+   * @example
+   * new BSDate(2082, 5, 25).compareTo(new BSDate(2082, 6, 1)); // -1
+   */
+  compareTo(other) {
+    return BSDate.compare(this, other);
+  }
 
-    return romanized
-      ? Object.values(weekdays)[adDate.getDay()]
-      : Object.keys(weekdays)[adDate.getDay()];
+  /**
+   * Checks whether this date is before another BS date.
+   *
+   * @param {BSDate} other - The date to compare against
+   * @returns {boolean} True if this date is earlier
+   * @example
+   * new BSDate(2082, 5, 25).isBefore(new BSDate(2082, 6, 1)); // true
+   */
+  isBefore(other) {
+    return this.compareTo(other) < 0;
+  }
+
+  /**
+   * Checks whether this date is after another BS date.
+   *
+   * @param {BSDate} other - The date to compare against
+   * @returns {boolean} True if this date is later
+   * @example
+   * new BSDate(2082, 5, 25).isAfter(new BSDate(2082, 6, 1)); // false
+   */
+  isAfter(other) {
+    return this.compareTo(other) > 0;
+  }
+
+  /**
+   * Compares two BS dates, suitable as an `Array.prototype.sort` comparator.
+   *
+   * @static
+   * @param {BSDate} a - The first date
+   * @param {BSDate} b - The second date
+   * @returns {number} -1 if `a` is earlier, 1 if it is later, 0 if equal
+   * @example
+   * dates.sort(BSDate.compare);
+   */
+  static compare(a, b) {
+    return (
+      Math.sign(a.year - b.year) ||
+      Math.sign(a.month - b.month) ||
+      Math.sign(a.day - b.day)
+    );
   }
 
   /**
    * Creates a BSDate instance from an Anno Domini (Gregorian) Date object.
+   * The instant is placed on the calendar day it falls on in the given time
+   * zone, which defaults to Nepal time (Asia/Kathmandu).
    *
    * @static
    * @param {Date} adDate - The AD date to convert
+   * @param {Object} [options={}] - Conversion options
+   * @param {string} [options.timeZone="Asia/Kathmandu"] - IANA time zone used to read the calendar day
    * @returns {BSDate} A new BSDate instance
+   * @throws {DateOutOfRangeError} When the date is invalid or its calendar day is outside
+   * the range of the loaded calendar data
+   * @throws {RangeError} When the time zone is not supported by the runtime
    * @example
    * const adDate = new Date('2025-09-10');
    * const bsDate = BSDate.fromAD(adDate); // BSDate { year: 2082, month: 5, day: 25 }
+   *
+   * // 23:00 UTC is already the next morning in Kathmandu
+   * BSDate.fromAD(new Date('2025-09-09T23:00:00Z')); // BSDate { year: 2082, month: 5, day: 25 }
+   * BSDate.fromAD(new Date('2025-09-09T23:00:00Z'), { timeZone: 'UTC' }); // BSDate { year: 2082, month: 5, day: 24 }
+   */
+  static fromAD(adDate, { timeZone = defaultTimeZone } = {}) {
+    const { adStart, adEnd } = supportedRange();
+    const details = { field: "date", value: adDate, min: adStart, max: adEnd };
+    if (isNaN(adDate)) {
+      throw new DateOutOfRangeError("Date is invalid", details);
+    }
+
+    // Validate that the calendar day in the time zone is within the supported
+    // conversion range. Date.UTC() would read years 0-99 as 1900-1999.
+    const { year, month, day } = zonedParts(adDate, timeZone);
+    const calendarDay = new Date(0);
+    calendarDay.setUTCFullYear(year, month - 1, day);
+    if (calendarDay < adStart || calendarDay > adEnd) {
+      throw new DateOutOfRangeError("Date is out of range", details);
+    }
+
+    const [bsYear, bsMonth, bsDay] = this.#julianDaysToBS(
+      epochJulianDays +
+        (calendarDay.getTime() - epochADStart.getTime()) / MILLISECONDS_PER_DAY
+    );
+    return new BSDate(bsYear, bsMonth, bsDay);
+  }
+
+  /**
+   * Gets the current BS date.
+   *
+   * @static
+   * @param {Object} [options={}] - Conversion options
+   * @param {string} [options.timeZone="Asia/Kathmandu"] - IANA time zone used to read the current day
+   * @returns {BSDate} A new BSDate instance for today
+   * @example
+   * BSDate.today(); // Today in Nepal
+   * BSDate.today({ timeZone: "America/New_York" }); // Today in New York
+   */
+  static today({ timeZone = defaultTimeZone } = {}) {
+    return BSDate.fromAD(new Date(), { timeZone });
+  }
+
+  /**
+   * Calculates an age in complete BS years and months plus remaining days, as
+   * asked for on Nepali government forms. Months follow BS month lengths and,
+   * as in `addMonths()`, a birth day missing from a shorter month counts as
+   * reached on that month's last day.
+   *
+   * @static
+   * @param {BSDate} birth - The date of birth
+   * @param {Object} [options={}] - Calculation options
+   * @param {BSDate} [options.on=BSDate.today()] - The date to calculate the age on
+   * @returns {{years: number, months: number, days: number}} The age
+   * @throws {TypeError} When either date is not a BSDate
+   * @throws {RangeError} When the date of birth is after `options.on`
+   * @example
+   * BSDate.age(new BSDate(2050, 8, 20), { on: new BSDate(2082, 5, 25) }); // { years: 31, months: 9, days: 5 }
+   * BSDate.age(new BSDate(2082, 4, 15), { on: new BSDate(2082, 5, 10) }); // { years: 0, months: 0, days: 27 }
+   */
+  static age(birth, { on = BSDate.today() } = {}) {
+    if (!(birth instanceof BSDate) || !(on instanceof BSDate)) {
+      throw new TypeError("Dates must be BSDate instances");
+    }
+    if (birth.isAfter(on)) {
+      throw new RangeError(`Date of birth ${birth} is after ${on}`);
+    }
+
+    const months = on.#monthsSince(birth);
+    return {
+      years: Math.floor(months / 12),
+      months: months % 12,
+      days: on.diff(birth.addMonths(months)),
+    };
+  }
+
+  /**
+   * Gets the first anniversary of a date, such as a birthday or hiring date,
+   * on or after another date. An anniversary of the 32nd of a month falls on
+   * the month's last day in years where the month is shorter.
+   *
+   * @static
+   * @param {BSDate} date - The date to find the anniversary of
+   * @param {Object} [options={}] - Search options
+   * @param {BSDate} [options.from=BSDate.today()] - The earliest date the anniversary may fall on
+   * @returns {BSDate} The anniversary, at least one year after `date`
+   * @throws {TypeError} When either date is not a BSDate
+   * @throws {BSDateOutOfRangeError} When the anniversary is out of range
+   * @example
+   * BSDate.nextAnniversary(new BSDate(2080, 2, 32), { from: new BSDate(2081, 1, 1) }); // BSDate { year: 2081, month: 2, day: 31 }
+   * BSDate.nextAnniversary(new BSDate(2080, 2, 32), { from: new BSDate(2081, 3, 1) }); // BSDate { year: 2082, month: 2, day: 32 }
+   */
+  static nextAnniversary(date, { from = BSDate.today() } = {}) {
+    if (!(date instanceof BSDate) || !(from instanceof BSDate)) {
+      throw new TypeError("Dates must be BSDate instances");
+    }
+
+    const years = Math.max(1, from.year - date.year);
+    const anniversary = date.addYears(years);
+    return anniversary.isBefore(from) ? date.addYears(years + 1) : anniversary;
+  }
+
+  /**
+   * Counts the working days from one date to another: the working days after
+   * `from` up to and including `to`. The count is negative when `to` is before
+   * `from`, so that `from.addBusinessDays(n)` lands on a date `n` working days
+   * away.
+   *
+   * @static
+   * @param {BSDate} from - The start date (excluded)
+   * @param {BSDate} to - The end date (included)
+   * @param {Object} [options={}] - Business day options, as for `isWorkingDay()`
+   * @returns {number} The number of working days between the dates
+   * @example
+   * BSDate.businessDaysBetween(new BSDate(2082, 5, 25), new BSDate(2082, 6, 1)); // 6
+   */
+  static businessDaysBetween(from, to, options) {
+    const isWorkingDay = workingDayPredicate(options);
+    const [start, end, sign] =
+      from.compareTo(to) <= 0 ? [from, to, 1] : [to, from, -1];
+
+    let count = 0;
+    for (let date = start; date.isBefore(end); ) {
+      date = date.addDays(1);
+      if (isWorkingDay(date)) {
+        count++;
+      }
+    }
+    return sign * count || 0;
+  }
+
+  /**
+   * Builds the calendar grid of a BS month for rendering a date picker.
+   * Returns whole weeks (5 or 6 rows of seven cells),
+   * padded with the trailing days of the previous month and the leading days
+   * of the next month. Padding days outside the supported range are `null`.
+   *
+   * @static
+   * @param {number} year - BS year
+   * @param {number} month - BS month (1-12)
+   * @param {Object} [options={}] - Grid options
+   * @param {number} [options.weekStartsOn=0] - First weekday column (0 = Sunday, 6 = Saturday)
+   * @param {string} [options.timeZone="Asia/Kathmandu"] - IANA time zone for `adDate` and `isToday`
+   * @returns {Array<Array<{date: BSDate, adDate: Date, weekday: number, isToday: boolean, inMonth: boolean}|null>>}
+   * The weeks of the grid, each holding seven cells
+   * @throws {BSDateOutOfRangeError} When the year or month is invalid or out of range
+   * @example
+   * const weeks = BSDate.monthGrid(2082, 5);
+   * weeks.length; // 5
+   * weeks[0][0]; // { date: BSDate { year: 2082, month: 5, day: 1 }, weekday: 0, inMonth: true, ... }
+   */
+  static monthGrid(
+    year,
+    month,
+    { weekStartsOn = 0, timeZone = defaultTimeZone } = {}
+  ) {
+    BSDate.#validateWeekStart(weekStartsOn);
+
+    const first = new BSDate(year, month, 1);
+    const leading = (first.dayOfWeek() - weekStartsOn + 7) % 7;
+    const cellCount = Math.ceil((leading + monthLength(year, month)) / 7) * 7;
+    const firstJulianDays = first.#bsToJulianDays() - leading;
+    const today = BSDate.today({ timeZone });
+
+    const cells = Array.from({ length: cellCount }, (_, index) => {
+      let date;
+      try {
+        date = new BSDate(...BSDate.#julianDaysToBS(firstJulianDays + index));
+      } catch (error) {
+        if (error instanceof BSDateOutOfRangeError) {
+          return null;
+        }
+        throw error;
+      }
+
+      return {
+        date,
+        adDate: date.toAD({ timeZone }),
+        weekday: date.dayOfWeek(),
+        isToday: date.equals(today),
+        inMonth: date.year === year && date.month === month,
+      };
+    });
+
+    return Array.from({ length: cellCount / 7 }, (_, week) =>
+      cells.slice(week * 7, week * 7 + 7)
+    );
+  }
+
+  /**
+   * Lists the holidays of a BS month in date order.
+   *
+   * @static
+   * @param {number} year - BS year
+   * @param {number} month - BS month (1-12)
+   * @returns {Array<{date: BSDate, name: string, englishName: string, type: string}>}
+   * One entry per holiday, so a date with two holidays appears twice
+   * @throws {BSDateOutOfRangeError} When the year or month is invalid or out of range
+   * @example
+   * BSDate.holidaysIn(2082, 6);
+   * // [{ date: BSDate { year: 2082, month: 6, day: 3 }, name: "संविधान दिवस", englishName: "Constitution Day", type: "national" }]
+   */
+  static holidaysIn(year, month) {
+    BSDate.#validate(year, month, 1);
+    return Array.from(
+      { length: monthLength(year, month) },
+      (_, index) => new BSDate(year, month, index + 1)
+    ).flatMap((date) =>
+      date.holidays().map((holiday) => ({ date, ...holiday }))
+    );
+  }
+
+  /**
+   * Creates a BSDate instance by parsing a string with a token pattern.
+   * Accepts the same tokens as `format()`, with Latin or Devanagari digits and
+   * Devanagari or romanized month names.
+   *
+   * @static
+   * @param {string} text - The string to parse
+   * @param {string} [pattern="YYYY-MM-DD"] - The token pattern
+   * @param {Object} [options={}] - Parsing options
+   * @param {string} [options.locale] - Locale pack whose names are accepted besides Nepali and romanized ones
+   * @returns {BSDate} A new BSDate instance
+   * @throws {Error} When the string does not match the pattern
+   * @throws {BSDateOutOfRangeError} When the parsed date is invalid or out of range
+   * @example
+   * BSDate.parse("2082-05-25"); // BSDate { year: 2082, month: 5, day: 25 }
+   * BSDate.parse("२०८२/०५/२५", "YYYY/MM/DD"); // BSDate { year: 2082, month: 5, day: 25 }
+   * BSDate.parse("भाद्र २५, २०८२", "MMMM D, YYYY"); // BSDate { year: 2082, month: 5, day: 25 }
+   * BSDate.parse("25 Bhadra 2082", "D MMMM YYYY", { locale: "en" }); // BSDate { year: 2082, month: 5, day: 25 }
    */
-  static fromAD(adDate) {
-    const [year, month, day] = this.#julianDaysToBS(julian(adDate));
+  static parse(text, pattern = "YYYY-MM-DD", options) {
+    const [year, month, day] = parseBSDate(text, pattern, options);
     return new BSDate(year, month, day);
   }
 
   /**
-   * Validates the BS date against supported ranges and calendar data.
+   * Finds BS dates, and AD dates labelled as such, in free Devanagari or
+   * romanized text. See `extract.js` for the recognized forms and how the
+   * confidence is scored.
+   *
+   * @static
+   * @param {string} text - The text to scan
+   * @returns {Array<{start: number, end: number, text: string, date: BSDate, calendar: string, confidence: number}>}
+   * The dates found, in order of appearance
+   * @throws {TypeError} When the text is not a string
+   * @example
+   * BSDate.extract("सूचना: २०८२ साल भाद्र २५ गते");
+   * // [{ start: 7, end: 28, text: "२०८२ साल भाद्र २५ गते",
+   * //    date: BSDate { year: 2082, month: 5, day: 25 }, calendar: "bs", confidence: 1 }]
+   */
+  static extract(text) {
+    return extractDates(text);
+  }
+
+  /**
+   * Gets the first and last days of a Nepali fiscal year. The last day of Asar
+   * comes from the calendar data, so the length of the year varies.
+   *
+   * @static
+   * @param {string} label - The fiscal year label, e.g. "2082/83"
+   * @returns {{start: BSDate, end: BSDate}} Shrawan 1 and the last day of Asar
+   * @throws {Error} When the label is not of the form "YYYY/YY" with consecutive years
+   * @throws {BSDateOutOfRangeError} When the fiscal year is outside the supported range
+   * @example
+   * BSDate.fiscalYearRange("2082/83");
+   * // { start: BSDate { year: 2082, month: 4, day: 1 }, end: BSDate { year: 2083, month: 3, day: 32 } }
+   */
+  static fiscalYearRange(label) {
+    const match = /^(\d{4})\/(\d{2})$/.exec(String(label).trim());
+    const startYear = match ? Number(match[1]) : NaN;
+    if (!match || (startYear + 1) % 100 !== Number(match[2])) {
+      throw new Error(
+        `"${label}" is not a fiscal year label of the form "2082/83"`
+      );
+    }
+    return BSDate.#fiscalYearBounds(startYear);
+  }
+
+  /**
+   * Builds the first and last days of the fiscal year starting in a BS year.
+   *
+   * @private
+   * @static
+   * @param {number} startYear - The BS year of the fiscal year's Shrawan 1
+   * @returns {{start: BSDate, end: BSDate}} Shrawan 1 and the last day of Asar
+   * @throws {BSDateOutOfRangeError} When either day is out of range
+   */
+  static #fiscalYearBounds(startYear) {
+    const start = new BSDate(startYear, 4, 1);
+    BSDate.#validate(startYear + 1, 3, 1);
+    const end = new BSDate(startYear + 1, 3, monthLength(startYear + 1, 3));
+    return { start, end };
+  }
+
+  /**
+   * Gets the number of days in a BS month.
+   *
+   * @static
+   * @param {number} year - BS year
+   * @param {number} month - BS month (1-12)
+   * @returns {number} The number of days (29-32)
+   * @throws {BSDateOutOfRangeError} When the year or month is invalid or out of range
+   * @example
+   * BSDate.daysInMonth(2081, 9); // 29
+   */
+  static daysInMonth(year, month) {
+    BSDate.#validate(year, month, 1);
+    return monthLength(year, month);
+  }
+
+  /**
+   * Gets the number of days in a BS year.
+   *
+   * @static
+   * @param {number} year - BS year
+   * @returns {number} The number of days (365 or 366)
+   * @throws {BSDateOutOfRangeError} When the year is invalid or out of range
+   * @example
+   * BSDate.daysInYear(2082); // 365
+   */
+  static daysInYear(year) {
+    BSDate.#validate(year, 1, 1);
+    return bsToDays(year, 12, monthLength(year, 12)) - bsToDays(year, 1, 1) + 1;
+  }
+
+  /**
+   * Checks whether the given year, month and day form a valid BS date
+   * without throwing.
+   *
+   * @static
+   * @param {number} year - BS year
+   * @param {number} month - BS month (1-12)
+   * @param {number} day - BS day
+   * @returns {boolean} True if the components are valid, false otherwise
+   * @example
+   * BSDate.isValid(2082, 5, 25); // true
+   * BSDate.isValid(2082, 13, 40); // false
+   */
+  static isValid(year, month, day) {
+    try {
+      BSDate.#validate(year, month, day);
+      return true;
+    } catch (error) {
+      if (error instanceof BSDateOutOfRangeError) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Validates BS date components against supported ranges and calendar data.
+   * The first invalid component is reported through the error's `field`,
+   * `value`, `min` and `max` properties.
    *
    * @private
-   * @throws {BSDateOutOfRangeError} When the date is invalid or out of range
-   * @returns {boolean} True if the date is valid
+   * @static
+   * @param {number} year - BS year
+   * @param {number} month - BS month (1-12)
+   * @param {number} day - BS day
+   * @throws {BSDateOutOfRangeError} When a component is missing, invalid or out of range
    */
-  #validateBSDate() {
-    if (!this.#validDate()) {
+  static #validate(year, month, day) {
+    BSDate.#validateField("year", year, firstYear, lastYear);
+    BSDate.#validateField("month", month, 1, 12);
+    BSDate.#validateField(
+      "day",
+      day,
+      1,
+      monthLength(year, month),
+      () => ` for ${year}/${String(month).padStart(2, "0")}`
+    );
+  }
+
+  /**
+   * Validates a single BS date component.
+   *
+   * @private
+   * @static
+   * @param {string} field - The component name ("year", "month" or "day")
+   * @param {*} value - The component value
+   * @param {number} min - The smallest accepted value
+   * @param {number} max - The largest accepted value
+   * @param {Function} [context] - Returns extra context appended to the error message
+   * @throws {BSDateOutOfRangeError} When the value is missing, not an integer or out of range
+   */
+  static #validateField(field, value, min, max, context = () => "") {
+    if (Number.isInteger(value) && value >= min && value <= max) {
+      return;
+    }
+
+    const label = field[0].toUpperCase() + field.slice(1);
+    const details = { field, value, min, max };
+
+    if (value === undefined || value === null) {
+      throw new BSDateOutOfRangeError(`${label} is required`, details);
+    }
+    if (!Number.isInteger(value)) {
       throw new BSDateOutOfRangeError(
-        `Year ${this.year} is out of valid range (${Object.keys(monthDaysInBSYear)[0]}-${Object.keys(monthDaysInBSYear)[Object.keys(monthDaysInBSYear).length - 1]})`
+        `${label} ${value} is not an integer`,
+        details
       );
     }
-    return true;
+    throw new BSDateOutOfRangeError(
+      `${label} ${value} is out of valid range (${min}-${max})${context()}`,
+      details
+    );
   }
 
   /**
-   * Checks if the current BS date is valid according to calendar data.
+   * Validates the first day of the week used by week-based calculations.
    *
    * @private
-   * @returns {boolean} True if the date is valid, false otherwise
+   * @static
+   * @param {*} weekStartsOn - The weekday index to check
+   * @throws {RangeError} When the value is not an integer from 0 to 6
    */
-  #validDate() {
+  static #validateWeekStart(weekStartsOn) {
     if (
-      Object.hasOwn(monthDaysInBSYear, this.year) &&
-      this.month > 0 &&
-      this.month <= 12 &&
-      this.day > 0 &&
-      this.day <= monthDaysInBSYear[this.year][this.month - 1]
+      !Number.isInteger(weekStartsOn) ||
+      weekStartsOn < 0 ||
+      weekStartsOn > 6
     ) {
-      return true;
+      throw new RangeError(
+        `weekStartsOn must be an integer from 0 to 6, got ${weekStartsOn}`
+      );
     }
-    return false;
   }
 
   /**
-   * Converts the BS date to Julian days for calendar calculations.
+   * Checks a unit passed to `startOf()` or `endOf()`.
    *
    * @private
-   * @returns {number} The number of Julian days
+   * @static
+   * @param {*} unit - The unit to check
+   * @returns {string} The unit
+   * @throws {RangeError} When the unit is not supported
    */
-  #bsToJulianDays() {
-    let julianDays = epochJulianDays;
+  static #navigationUnit(unit) {
+    if (!["week", "month", "quarter", "year"].includes(unit)) {
+      throw new RangeError(
+        `Unsupported unit "${unit}", expected one of week, month, quarter or year`
+      );
+    }
+    return unit;
+  }
 
-    // Add days for all complete years before the target year
-    for (let year = epochBS[0]; year < this.year; year++) {
-      julianDays += monthDaysInBSYear[year].reduce(
-        (acc, curr) => acc + curr,
-        0
+  /**
+   * Picks the locale pack for `monthName()` and `dayName()`: Nepali by
+   * default, `ne-Latn` when romanized, `en` when localized.
+   *
+   * @private
+   * @static
+   * @param {Object} options - The name options
+   * @returns {import("./locales.js").LocalePack} The locale pack
+   * @throws {Error} When more than one of romanized, localized and locale are given
+   */
+  static #namesLocale({ romanized = false, localized = false, locale }) {
+    if (
+      [romanized, localized, locale !== undefined].filter(Boolean).length > 1
+    ) {
+      throw new Error(
+        "You must provide at most one of :romanized, :localized or :locale"
       );
     }
+    if (locale !== undefined) {
+      return getLocale(locale);
+    }
+    return getLocale(romanized ? "ne-Latn" : localized ? "en" : "ne");
+  }
 
-    // Add days for all complete months before the target month
-    julianDays += monthDaysInBSYear[this.year]
-      .slice(0, this.month - 1)
-      .reduce((acc, curr) => acc + curr, 0);
+  /**
+   * Gets the day of the week from the Julian day, independent of any time zone.
+   *
+   * @private
+   * @returns {number} The weekday index (0 = Sunday, 6 = Saturday)
+   */
+  #weekday() {
+    return (this.#bsToJulianDays() + 1.5) % 7;
+  }
 
-    // Add the remaining days (subtract 1 because we count from day 0)
-    julianDays += this.day - 1;
-    return julianDays;
+  /**
+   * Converts the BS date to Julian days for calendar calculations.
+   *
+   * @private
+   * @returns {number} The number of Julian days
+   */
+  #bsToJulianDays() {
+    return epochJulianDays + bsToDays(this.year, this.month, this.day);
   }
 
   /**
    * Converts Julian days to BS date components.
+   * Any time-of-day fraction is discarded, so every instant of a UTC day maps
+   * to the same BS date.
    *
    * @private
    * @static
-   * @param {number} julianDays - The Julian day number
+   * @param {number|string} julianDays - The Julian day number
    * @returns {Array<number>} An array containing [year, month, day] in BS calendar
+   * @throws {BSDateOutOfRangeError} When the Julian day falls outside the calendar data
    */
   static #julianDaysToBS(julianDays) {
-    let year = epochBS[0];
-    let remainingDays = julianDays - epochJulianDays;
+    const components = daysToBS(Math.floor(julianDays - epochJulianDays));
 
-    // Find the correct year by subtracting full years
-    while (
-      remainingDays >
-      monthDaysInBSYear[year].reduce((acc, curr) => acc + curr, 0)
-    ) {
-      remainingDays -= monthDaysInBSYear[year].reduce(
-        (acc, curr) => acc + curr,
-        0
+    if (!components) {
+      throw new BSDateOutOfRangeError(
+        `Julian day ${julianDays} is out of the supported range`
       );
-      year++;
-    }
-
-    // Find the correct month by subtracting full months
-    let month = 1;
-    while (remainingDays > monthDaysInBSYear[year][month - 1]) {
-      remainingDays -= monthDaysInBSYear[year][month - 1];
-      month++;
     }
-
-    // Calculate the day (add 1 because we count from day 1)
-    let day = Math.ceil(remainingDays + 1);
-
-    return [year, month, day];
+    return components;
   }
 }
 
@@ -260,7 +1318,56 @@ export default BSDate;
  */
 export { BSDate };
 
+/**
+ * BS date with time of day
+ */
+export { BSDateTime } from "./bs-date-time.js";
+
 /**
  * Export error classes for comprehensive error handling
  */
-export { BSDateOutOfRangeError, DateOutOfRangeError } from "./errors.js";
+export {
+  BSDateOutOfRangeError,
+  DateOutOfRangeError,
+  CalendarDataError,
+} from "./errors.js";
+
+/**
+ * Side-effect-free conversion helpers
+ */
+export { toNepaliDigits, fromNepaliDigits } from "./number-utils.js";
+export { toNepaliWords } from "./number-words.js";
+export { formatRelativeTime } from "./relative-time.js";
+export { extractDates } from "./extract.js";
+export { tithiOf } from "./tithi.js";
+export { adToBS, bsToAD } from "./date-utils.js";
+
+/**
+ * Holiday registry
+ */
+export { registerHolidays, nationalHolidays } from "./holidays.js";
+
+/**
+ * Locale registry
+ */
+export { registerLocale, getLocale, availableLocales } from "./locales.js";
+
+/**
+ * Calendar data provider
+ */
+export {
+  loadCalendarData,
+  resetCalendarData,
+  calendarData,
+  supportedRange,
+} from "./calendar-data.js";
+
+/**
+ * Inclusive ranges of BS dates
+ */
+export { BSDateRange } from "./bs-date-range.js";
+
+/**
+ * Lunar Nepal Sambat dates
+ */
+export { NepalSambatDate } from "./nepal-sambat.js";
@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Business Day Rules for BS Date Library
+ * Resolves the weekend and holiday options shared by `BSDate#isWorkingDay()`,
+ * `BSDate#addBusinessDays()` and `BSDate.businessDaysBetween()`.
+ *
+ * The weekend defaults to Saturday (शनिवार), the weekly holiday of the Nepal
+ * government. Weekend days can be given as weekday indices (0 = Sunday) or by
+ * name in Devanagari, romanized or English form, following the ordering of
+ * `weekdays` and `weekdaysLocal` in `config.js`. Holidays default to the dates
+ * in the holiday registry (see `holidays.js`).
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import BSDate from "./bs-date.js";
+import { weekdays, weekdaysLocal } from "./config.js";
+
+/**
+ * Default weekend: Saturday only.
+ *
+ * @constant
+ * @type {Array<number>}
+ */
+const DEFAULT_WEEKEND = [6];
+
+/**
+ * Resolves a weekday index or name to its index (0 = Sunday).
+ *
+ * @private
+ * @param {number|string} weekday - Weekday index or Devanagari, romanized or English name
+ * @returns {number} The weekday index
+ * @throws {RangeError} When the weekday is not recognised
+ */
+function weekdayIndex(weekday) {
+  if (Number.isInteger(weekday) && weekday >= 0 && weekday <= 6) {
+    return weekday;
+  }
+
+  const name = String(weekday).toLowerCase();
+  const index = [Object.keys(weekdays), Object.values(weekdays), weekdaysLocal]
+    .map((names) => names.findIndex((n) => n.toLowerCase() === name))
+    .find((i) => i !== -1);
+  if (index === undefined) {
+    throw new RangeError(`${weekday} is not a weekday`);
+  }
+  return index;
+}
+
+/**
+ * Builds a predicate telling working days from weekend days and holidays.
+ *
+ * @param {Object} [options={}] - Business day options
+ * @param {Array<number|string>} [options.weekend=[6]] - Weekend days as indices (0 = Sunday) or names
+ * @param {Array<BSDate|string>} [options.holidays] - Non-working dates as BSDate instances or
+ * "YYYY-MM-DD" strings; when omitted, dates with a registered holiday are non-working
+ * @returns {function(BSDate): boolean} Returns true for working days
+ * @throws {RangeError} When a weekend day is not recognised or every day is a weekend day
+ * @throws {BSDateOutOfRangeError} When a holiday string is not a valid BS date
+ * @example
+ * const isWorkingDay = workingDayPredicate({ weekend: ["Saturday", "Sunday"] });
+ * isWorkingDay(new BSDate(2082, 5, 1)); // false (आइतबार)
+ */
+export function workingDayPredicate({
+  weekend = DEFAULT_WEEKEND,
+  holidays,
+} = {}) {
+  const weekendDays = new Set(weekend.map(weekdayIndex));
+  if (weekendDays.size === 7) {
+    throw new RangeError("The weekend must leave at least one working day");
+  }
+
+  const isHoliday =
+    holidays === undefined
+      ? (date) => date.isHoliday()
+      : (() => {
+          const dates = new Set(
+            holidays.map((holiday) =>
+              (typeof holiday === "string"
+                ? BSDate.parse(holiday)
+                : holiday
+              ).format("YYYY-MM-DD")
+            )
+          );
+          return (date) => dates.has(date.format("YYYY-MM-DD"));
+        })();
+
+  return (date) => !weekendDays.has(date.dayOfWeek()) && !isHoliday(date);
+}
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Calendar Data Provider for BS Date Library
+ * Holds the BS month lengths used by every conversion and precomputes
+ * cumulative day offsets from them, so that BS ↔ day-number conversions run in
+ * constant (BS → days) and logarithmic (days → BS) time instead of re-summing
+ * every year from the epoch.
+ *
+ * The built-in `monthDaysInBSYear` table is loaded at startup. Newly published
+ * years or corrected month lengths can be loaded at runtime with
+ * `loadCalendarData()`, and the supported BS and AD range is always derived
+ * from the loaded data.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { monthDaysInBSYear, epochBS, epochADStart } from "./config.js";
+import { CalendarDataError } from "./errors.js";
+
+/**
+ * Number of milliseconds in a day.
+ *
+ * @constant
+ * @type {number}
+ */
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Shortest and longest BS month, in days.
+ *
+ * @constant
+ * @type {Array<number>}
+ */
+const [MIN_MONTH_DAYS, MAX_MONTH_DAYS] = [29, 32];
+
+/**
+ * Lengths of a BS year, in days.
+ *
+ * @constant
+ * @type {Array<number>}
+ */
+const YEAR_DAYS = [365, 366];
+
+/**
+ * The loaded month lengths, keyed by BS year.
+ *
+ * @type {Object.<number, ReadonlyArray<number>>}
+ */
+let yearTable;
+
+/**
+ * First supported BS year. This is a live binding that follows the loaded data.
+ *
+ * @type {number}
+ */
+export let firstYear;
+
+/**
+ * Last supported BS year. This is a live binding that follows the loaded data.
+ *
+ * @type {number}
+ */
+export let lastYear;
+
+/**
+ * Number of days from 1 Baisakh of `firstYear` to the first day of every
+ * loaded month. Index `(year - firstYear) * 12 + (month - 1)` holds the offset
+ * of that month; the final entry holds the total number of loaded days.
+ *
+ * @type {Array<number>}
+ * @example
+ * monthStartDays[0]; // 0 (2000/01/01)
+ * monthStartDays[1]; // 30 (2000/02/01)
+ */
+let monthStartDays;
+
+/**
+ * Offset of the BS epoch (2000/01/01) in `monthStartDays`, which is non-zero
+ * when years before the epoch are loaded.
+ *
+ * @type {number}
+ */
+let epochDays;
+
+/**
+ * Validates a calendar table without modifying the loaded data.
+ *
+ * @private
+ * @param {Object.<number, Array<number>>} table - Month lengths keyed by BS year
+ * @throws {CalendarDataError} When the table is malformed
+ */
+function validate(table) {
+  if (table === null || typeof table !== "object" || Array.isArray(table)) {
+    throw new CalendarDataError(
+      "Calendar data must be an object keyed by BS year"
+    );
+  }
+
+  for (const [key, monthDays] of Object.entries(table)) {
+    const year = Number(key);
+    if (!/^\d+$/.test(key)) {
+      throw new CalendarDataError(`${key} is not a BS year`, { value: key });
+    }
+    if (!Array.isArray(monthDays) || monthDays.length !== 12) {
+      throw new CalendarDataError(`Year ${year} must list 12 month lengths`, {
+        year,
+        value: monthDays,
+      });
+    }
+
+    monthDays.forEach((days, index) => {
+      if (
+        !Number.isInteger(days) ||
+        days < MIN_MONTH_DAYS ||
+        days > MAX_MONTH_DAYS
+      ) {
+        throw new CalendarDataError(
+          `Month ${index + 1} of ${year} has ${days} days, expected ${MIN_MONTH_DAYS}-${MAX_MONTH_DAYS}`,
+          { year, month: index + 1, value: days }
+        );
+      }
+    });
+
+    const yearDays = monthDays.reduce((sum, days) => sum + days, 0);
+    if (!YEAR_DAYS.includes(yearDays)) {
+      throw new CalendarDataError(
+        `Year ${year} has ${yearDays} days, expected ${YEAR_DAYS.join(" or ")}`,
+        { year, value: yearDays }
+      );
+    }
+  }
+}
+
+/**
+ * Replaces the loaded data and rebuilds the lookup tables.
+ *
+ * @private
+ * @param {Object.<number, Array<number>>} table - Validated month lengths keyed by BS year
+ * @throws {CalendarDataError} When the years are not consecutive or miss the epoch year
+ */
+function install(table) {
+  const years = Object.keys(table)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const gap = years.findIndex((year, index) => year !== years[0] + index);
+  if (gap !== -1) {
+    const missing = years[0] + gap;
+    throw new CalendarDataError(
+      `Calendar data must cover consecutive years, ${missing} is missing`,
+      { year: missing }
+    );
+  }
+  if (!years.includes(epochBS[0])) {
+    throw new CalendarDataError(
+      `Calendar data must include the epoch year ${epochBS[0]}`,
+      { year: epochBS[0] }
+    );
+  }
+
+  yearTable = Object.fromEntries(
+    years.map((year) => [year, Object.freeze([...table[year]])])
+  );
+  firstYear = years[0];
+  lastYear = years[years.length - 1];
+  monthStartDays = years
+    .flatMap((year) => yearTable[year])
+    .reduce(
+      (offsets, monthDays) => {
+        offsets.push(offsets[offsets.length - 1] + monthDays);
+        return offsets;
+      },
+      [0]
+    );
+  epochDays = monthStartDays[(epochBS[0] - firstYear) * 12];
+}
+
+/**
+ * Loads additional or corrected BS years, e.g. from a JSON file published
+ * after this release. Years in the table replace the loaded years of the same
+ * number; other loaded years are kept unless `replace` is true. The result
+ * must cover consecutive years including the epoch year 2000. Nothing is
+ * changed when validation fails.
+ *
+ * @param {Object.<number, Array<number>>} table - Month lengths (Baisakh to Chaitra) keyed by BS year
+ * @param {Object} [options={}] - Loading options
+ * @param {boolean} [options.replace=false] - If true, the table replaces all loaded data
+ * @throws {CalendarDataError} When the table is malformed or leaves a gap in the years
+ * @example
+ * loadCalendarData(JSON.parse(fs.readFileSync("bs-2091.json", "utf8")));
+ * new BSDate(2091, 1, 1).toAD();
+ */
+export function loadCalendarData(table, { replace = false } = {}) {
+  validate(table);
+  install(replace ? table : { ...yearTable, ...table });
+}
+
+/**
+ * Restores the built-in calendar data.
+ *
+ * @example
+ * resetCalendarData();
+ * lastYear; // 2090
+ */
+export function resetCalendarData() {
+  install(monthDaysInBSYear);
+}
+
+/**
+ * Returns a copy of the loaded month lengths, in the format accepted by
+ * `loadCalendarData()`.
+ *
+ * @returns {Object.<number, Array<number>>} Month lengths keyed by BS year
+ */
+export function calendarData() {
+  return Object.fromEntries(
+    Object.entries(yearTable).map(([year, monthDays]) => [year, [...monthDays]])
+  );
+}
+
+/**
+ * Gets the number of days in a loaded BS month.
+ * The components are expected to be valid; callers validate them first.
+ *
+ * @param {number} year - BS year
+ * @param {number} month - BS month (1-12)
+ * @returns {number} The number of days in the month
+ * @example
+ * monthLength(2082, 5); // 31
+ */
+export function monthLength(year, month) {
+  return yearTable[year][month - 1];
+}
+
+/**
+ * Converts BS date components to the number of days since the BS epoch.
+ * The components are expected to be valid; callers validate them first.
+ *
+ * @param {number} year - BS year
+ * @param {number} month - BS month (1-12)
+ * @param {number} day - BS day
+ * @returns {number} Days since 2000/01/01 BS, negative for earlier dates
+ * @example
+ * bsToDays(2000, 2, 1); // 30
+ */
+export function bsToDays(year, month, day) {
+  return (
+    monthStartDays[(year - firstYear) * 12 + month - 1] + day - 1 - epochDays
+  );
+}
+
+/**
+ * Converts a number of days since the BS epoch to BS date components.
+ * Uses a binary search over the cumulative month offsets.
+ *
+ * @param {number} days - Whole days since 2000/01/01 BS
+ * @returns {Array<number>|null} An array containing [year, month, day] in BS calendar,
+ * or null when the day falls outside the supported range
+ * @example
+ * daysToBS(30); // [2000, 2, 1]
+ */
+export function daysToBS(days) {
+  const offset = days + epochDays;
+  if (offset < 0 || offset >= monthStartDays[monthStartDays.length - 1]) {
+    return null;
+  }
+
+  // Find the last month whose first day is on or before the given day
+  let low = 0;
+  let high = monthStartDays.length - 2;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (monthStartDays[mid] <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return [
+    firstYear + Math.floor(low / 12),
+    (low % 12) + 1,
+    offset - monthStartDays[low] + 1,
+  ];
+}
+
+/**
+ * Gets the supported range of the loaded data. The AD dates are the calendar
+ * days (at UTC midnight) of the first and last supported BS days.
+ *
+ * @returns {{firstYear: number, lastYear: number, adStart: Date, adEnd: Date}} The supported range
+ * @example
+ * supportedRange();
+ * // { firstYear: 2000, lastYear: 2090, adStart: 1943-04-14T00:00:00.000Z, adEnd: 2034-04-13T00:00:00.000Z }
+ */
+export function supportedRange() {
+  const toAD = (days) =>
+    new Date(epochADStart.getTime() + days * MILLISECONDS_PER_DAY);
+  return {
+    firstYear,
+    lastYear,
+    adStart: toAD(-epochDays),
+    adEnd: toAD(monthStartDays[monthStartDays.length - 1] - epochDays - 1),
+  };
+}
+
+resetCalendarData();
@@ -0,0 +1,351 @@
+/**
+ * @fileoverview Command-Line Interface for BS Date Library
+ * Implements the `bsdate` command: AD/BS conversion, today's BS date and a
+ * `cal`-style printout of a BS month. The command logic lives here, separate
+ * from `bin/bsdate.js`, so that it can be run and tested with any argument
+ * list and output streams.
+ *
+ * Exit codes: 0 on success, 1 when a date is outside the supported range
+ * (`BSDateOutOfRangeError` or `DateOutOfRangeError`) and 2 for invalid
+ * arguments or input.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { parseArgs } from "node:util";
+import BSDate from "./bs-date.js";
+import { adToBS } from "./date-utils.js";
+import { BSDateOutOfRangeError, DateOutOfRangeError } from "./errors.js";
+import { getLocale } from "./locales.js";
+import { defaultTimeZone } from "./config.js";
+
+/**
+ * Usage text printed by `bsdate --help` and after argument errors.
+ *
+ * @constant
+ * @type {string}
+ */
+const USAGE = `Usage: bsdate <command> [options]
+
+Commands:
+  to-bs <YYYY-MM-DD>    Convert an AD date to BS
+  to-ad <YYYY-MM-DD>    Convert a BS date to AD
+  today                 Print today's BS date
+  cal [YYYY-MM]         Print a BS month calendar (default: this month)
+
+Options:
+  --format <pattern>    Format BS dates with a token pattern, e.g. "NYYYY/NMM/NDD"
+  --json                Print JSON instead of text
+  --script <script>     Calendar script: "devanagari" (default) or "roman"
+  --week-start <0-6>    First day of the calendar week (default: 0, Sunday)
+  --time-zone <zone>    IANA time zone for today (default: Asia/Kathmandu)
+  -h, --help            Show this help
+`;
+
+/**
+ * Options accepted by `parseArgs()`.
+ *
+ * @constant
+ * @type {Object}
+ */
+const OPTIONS = {
+  format: { type: "string" },
+  json: { type: "boolean" },
+  script: { type: "string", default: "devanagari" },
+  "week-start": { type: "string", default: "0" },
+  "time-zone": { type: "string", default: defaultTimeZone },
+  help: { type: "boolean", short: "h" },
+};
+
+/**
+ * Locale pack used for each calendar script.
+ *
+ * @constant
+ * @type {Object.<string, string>}
+ */
+const SCRIPT_LOCALES = {
+  devanagari: "ne",
+  roman: "ne-Latn",
+};
+
+/**
+ * Width of one day column in the month calendar.
+ *
+ * @constant
+ * @type {number}
+ */
+const CELL_WIDTH = 5;
+
+/**
+ * Signals invalid arguments, reported with exit code 2 and the usage text.
+ *
+ * @private
+ * @class UsageError
+ * @extends Error
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Gets the number of terminal columns a string occupies, ignoring combining
+ * marks such as Devanagari vowel signs.
+ *
+ * @private
+ * @param {string} text - The text to measure
+ * @returns {number} The display width
+ */
+function displayWidth(text) {
+  return text.replace(/\p{M}/gu, "").length;
+}
+
+/**
+ * Pads a string on the left to a display width.
+ *
+ * @private
+ * @param {string} text - The text to pad
+ * @param {number} width - The display width
+ * @returns {string} The padded text
+ */
+function padStart(text, width) {
+  return " ".repeat(Math.max(0, width - displayWidth(text))) + text;
+}
+
+/**
+ * Reads the single date argument of a conversion command.
+ *
+ * @private
+ * @param {string} command - The command name
+ * @param {Array<string>} args - The positional arguments after the command
+ * @returns {Array<number>} The [year, month, day] components
+ * @throws {UsageError} When the argument is missing or not a YYYY-MM-DD date
+ */
+function dateArgument(command, args) {
+  const match = args.length === 1 && /^(\d{4})-(\d{2})-(\d{2})$/.exec(args[0]);
+  if (!match) {
+    throw new UsageError(`${command} expects one date as YYYY-MM-DD`);
+  }
+  return match.slice(1).map(Number);
+}
+
+/**
+ * Describes a BS date as text, using the format pattern if given, or as JSON.
+ *
+ * @private
+ * @param {BSDate} date - The date to print
+ * @param {Object} values - The parsed options
+ * @returns {string} The output line
+ */
+function describeDate(date, values) {
+  if (values.json) {
+    return JSON.stringify({
+      bs: date.toString(),
+      ad: date.toAD({ timeZone: "UTC" }).toISOString().slice(0, 10),
+      nepali: date.toNepali(),
+      weekday: date.dayName({ romanized: true }),
+    });
+  }
+  return date.format(values.format ?? "YYYY-MM-DD");
+}
+
+/**
+ * Renders a BS month as a `cal`-style grid, or as JSON.
+ *
+ * @private
+ * @param {number} year - BS year
+ * @param {number} month - BS month (1-12)
+ * @param {Object} values - The parsed options
+ * @returns {string} The rendered calendar
+ * @throws {UsageError} When the script or week start is not supported
+ */
+function renderMonth(year, month, values) {
+  const { script } = values;
+  if (!Object.hasOwn(SCRIPT_LOCALES, script)) {
+    throw new UsageError(
+      `Unsupported script "${script}", expected "devanagari" or "roman"`
+    );
+  }
+  const weekStartsOn = Number(values["week-start"]);
+  if (!/^[0-6]$/.test(values["week-start"])) {
+    throw new UsageError(
+      `--week-start must be an integer from 0 to 6, got ${values["week-start"]}`
+    );
+  }
+
+  const weeks = BSDate.monthGrid(year, month, {
+    weekStartsOn,
+    timeZone: values["time-zone"],
+  });
+
+  if (values.json) {
+    return JSON.stringify({
+      year,
+      month,
+      weeks: weeks.map((week) =>
+        week.map(
+          (cell) =>
+            cell && {
+              bs: cell.date.toString(),
+              ad: cell.date
+                .toAD({ timeZone: "UTC" })
+                .toISOString()
+                .slice(0, 10),
+              weekday: cell.weekday,
+              inMonth: cell.inMonth,
+              isToday: cell.isToday,
+            }
+        )
+      ),
+    });
+  }
+
+  const locale = SCRIPT_LOCALES[script];
+  const { weekdaysShort } = getLocale(locale);
+  const title = new BSDate(year, month, 1).format("MMMM YYYY", { locale });
+  const width = CELL_WIDTH * 7;
+  const headings = Array.from({ length: 7 }, (_, index) =>
+    padStart(weekdaysShort[(weekStartsOn + index) % 7], CELL_WIDTH)
+  );
+  const rows = weeks.map((week) =>
+    week
+      .map((cell) =>
+        padStart(
+          cell?.inMonth ? cell.date.format("D", { locale }) : "",
+          CELL_WIDTH
+        )
+      )
+      .join("")
+      .trimEnd()
+  );
+
+  return [
+    padStart(title, Math.floor((width + displayWidth(title)) / 2)),
+    headings.join(""),
+    ...rows,
+  ].join("\n");
+}
+
+/**
+ * Reads the month argument of the `cal` command.
+ *
+ * @private
+ * @param {Array<string>} args - The positional arguments after the command
+ * @param {Object} values - The parsed options
+ * @returns {Array<number>} The [year, month] to print
+ * @throws {UsageError} When the argument is not a YYYY-MM month
+ */
+function monthArgument(args, values) {
+  if (args.length === 0) {
+    const today = BSDate.today({ timeZone: values["time-zone"] });
+    return [today.year, today.month];
+  }
+  const match = args.length === 1 && /^(\d{4})-(\d{1,2})$/.exec(args[0]);
+  if (!match) {
+    throw new UsageError("cal expects a month as YYYY-MM");
+  }
+  return [Number(match[1]), Number(match[2])];
+}
+
+/**
+ * Runs a `bsdate` command.
+ *
+ * @param {Array<string>} argv - The command-line arguments, without the node and script paths
+ * @param {Object} [io={}] - Output streams
+ * @param {{write: Function}} [io.stdout=process.stdout] - Receives the command output
+ * @param {{write: Function}} [io.stderr=process.stderr] - Receives errors and usage text
+ * @returns {number} The exit code: 0 on success, 1 when a date is out of range,
+ * 2 for invalid arguments or input
+ * @example
+ * run(["to-bs", "2025-09-10"]); // prints "2082-05-25", returns 0
+ * run(["to-ad", "2082-05-25"]); // prints "2025-09-10", returns 0
+ * run(["cal", "2082-05", "--script", "roman"]); // prints the Bhadra 2082 calendar
+ */
+export function run(
+  argv,
+  { stdout = process.stdout, stderr = process.stderr } = {}
+) {
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+    if (values.help) {
+      stdout.write(USAGE);
+      return 0;
+    }
+
+    const [command, ...args] = positionals;
+    if (values.format !== undefined && values.json) {
+      throw new UsageError("--format and --json cannot be combined");
+    }
+    if (values.format !== undefined && !["to-bs", "today"].includes(command)) {
+      throw new UsageError("--format only applies to to-bs and today");
+    }
+
+    let output;
+    switch (command) {
+      case "to-bs": {
+        const [year, month, day] = dateArgument(command, args);
+        // Date.UTC() would read years 0-99 as 1900-1999
+        const date = new Date(0);
+        date.setUTCFullYear(year, month - 1, day);
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+          throw new UsageError(`${args[0]} is not a valid AD date`);
+        }
+        output = describeDate(adToBS(date, { timeZone: "UTC" }), values);
+        break;
+      }
+      case "to-ad": {
+        const date = new BSDate(...dateArgument(command, args));
+        output = values.json
+          ? describeDate(date, values)
+          : date.toAD({ timeZone: "UTC" }).toISOString().slice(0, 10);
+        break;
+      }
+      case "today":
+        if (args.length > 0) {
+          throw new UsageError("today takes no arguments");
+        }
+        output = describeDate(
+          BSDate.today({ timeZone: values["time-zone"] }),
+          values
+        );
+        break;
+      case "cal":
+        output = renderMonth(...monthArgument(args, values), values);
+        break;
+      default:
+        throw new UsageError(
+          command === undefined
+            ? "Missing command"
+            : `Unknown command "${command}"`
+        );
+    }
+
+    stdout.write(`${output}\n`);
+    return 0;
+  } catch (error) {
+    if (
+      error instanceof BSDateOutOfRangeError ||
+      error instanceof DateOutOfRangeError
+    ) {
+      stderr.write(`bsdate: ${error.message}\n`);
+      return 1;
+    }
+    if (
+      error instanceof UsageError ||
+      error.code?.startsWith("ERR_PARSE_ARGS")
+    ) {
+      stderr.write(`bsdate: ${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    stderr.write(`bsdate: ${error.message}\n`);
+    return 2;
+  }
+}
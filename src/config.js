@@ -9,7 +9,9 @@
  */
 
 /**
- * Bikram Sambat calendar data containing the number of days in each month for each supported year.
+ * Built-in Bikram Sambat calendar data containing the number of days in each month for each supported year.
+ * Conversions read the loaded copy in `calendar-data.js`, to which further years or corrections
+ * can be added with `loadCalendarData()`.
  * The BS calendar has variable month lengths that change from year to year, unlike the Gregorian calendar.
  * Each array contains 12 elements representing days in months from Baisakh (1st) to Chaitra (12th).
  *
@@ -214,8 +216,8 @@ export const weekdaysLocal = [
 export const epochBS = [2000, 1, 1];
 
 /**
- * Anno Domini epoch start date representing the earliest supported AD date for conversion.
- * This date corresponds to BS 2000/01/01 and marks the beginning of the supported date range.
+ * Anno Domini date of the BS epoch (BS 2000/01/01), which anchors all conversions.
+ * With the built-in calendar data it is also the earliest supported AD date.
  *
  * @constant
  * @type {Date}
@@ -225,11 +227,13 @@ export const epochBS = [2000, 1, 1];
 export const epochADStart = new Date("1943-04-14");
 
 /**
- * Anno Domini epoch end date representing the latest supported AD date for conversion.
- * This date marks the end of the supported date range for BS calendar conversions.
+ * Anno Domini date of the last day of the built-in calendar data (BS 2090/12/30).
+ * Conversions do not use this constant: the supported range follows the loaded
+ * calendar data, see `supportedRange()` in `calendar-data.js`.
  *
  * @constant
  * @type {Date}
+ * @deprecated Use `supportedRange().adEnd` from `calendar-data.js` instead
  * @example
  * console.log(epochADEnd); // 2034-04-13T00:00:00.000Z
  */
@@ -247,3 +251,15 @@ export const epochADEnd = new Date("2034-04-13");
  * console.log(epochJulianDays); // 2430828.5
  */
 export const epochJulianDays = 2430828.5;
+
+/**
+ * IANA time zone used when converting between AD instants and BS dates.
+ * Nepal observes a single time zone (UTC+05:45), so a JavaScript Date belongs
+ * to the BS day it falls on in Kathmandu unless another zone is requested.
+ *
+ * @constant
+ * @type {string}
+ * @example
+ * BSDate.fromAD(new Date("2025-09-09T18:15:00Z"), { timeZone: defaultTimeZone }); // 2082-05-25
+ */
+export const defaultTimeZone = "Asia/Kathmandu";
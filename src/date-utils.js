@@ -1,8 +1,9 @@
 /**
  * @fileoverview Date Utilities for BS Date Library
- * Extends the native Date prototype with Bikram Sambat conversion functionality.
- * Provides methods to convert Anno Domini dates to Bikram Sambat dates with
- * proper validation and error handling.
+ * Provides side-effect-free functions to convert between Anno Domini dates and
+ * Bikram Sambat dates with proper validation and error handling. The
+ * `Date.prototype.toBS()` extension is available as an explicit opt-in through
+ * `register.js`.
  *
  * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
  * @version 1.0.0
@@ -10,48 +11,60 @@
  */
 
 import BSDate from "./bs-date.js";
-import { DateOutOfRangeError } from "./errors.js";
-import { epochADStart, epochADEnd } from "./config.js";
+import { defaultTimeZone } from "./config.js";
 
 /**
  * Converts an Anno Domini Date to a Bikram Sambat date.
- * This method extends the native Date prototype to provide seamless conversion
- * from Gregorian calendar dates to Bikram Sambat calendar dates.
+ * The instant is placed on the calendar day it falls on in the given time zone,
+ * which defaults to Nepal time (Asia/Kathmandu).
  *
- * @memberof Date.prototype
+ * @param {Date} date - The AD date to convert
+ * @param {Object} [options={}] - Conversion options
+ * @param {string} [options.timeZone="Asia/Kathmandu"] - IANA time zone used to read the calendar day
  * @returns {BSDate} A new BSDate instance representing the equivalent BS date
- * @throws {DateOutOfRangeError} When the date is outside the supported range (1943-04-14 to 2034-04-13)
+ * @throws {DateOutOfRangeError} When the date is invalid or outside the range of the loaded
+ * calendar data (1943-04-14 to 2034-04-13 with the built-in data)
  * @example
  * // Basic usage
- * const adDate = new Date('2025-09-10');
- * const bsDate = adDate.toBS(); // BSDate { year: 2082, month: 5, day: 25 }
+ * const bsDate = adToBS(new Date('2025-09-10')); // BSDate { year: 2082, month: 5, day: 25 }
  *
  * @example
- * // Working with current date
- * const today = new Date();
- * const todayBS = today.toBS();
- * console.log(`Today in BS: ${todayBS.year}/${todayBS.month}/${todayBS.day}`);
+ * // 18:15 UTC is midnight in Kathmandu
+ * adToBS(new Date('2025-09-09T18:15:00Z')); // BSDate { year: 2082, month: 5, day: 25 }
+ * adToBS(new Date('2025-09-09T18:15:00Z'), { timeZone: 'UTC' }); // BSDate { year: 2082, month: 5, day: 24 }
  *
  * @example
  * // Error handling for out-of-range dates
  * try {
- *   const earlyDate = new Date('1942-01-01');
- *   const bsDate = earlyDate.toBS(); // Throws DateOutOfRangeError
+ *   adToBS(new Date('1942-01-01')); // Throws DateOutOfRangeError
  * } catch (error) {
  *   if (error instanceof DateOutOfRangeError) {
  *     console.log('Date is out of supported range');
  *   }
  * }
  */
-Date.prototype.toBS = function () {
-  // Validate that the date is within the supported conversion range
-  if (
-    this.getTime() < epochADStart.getTime() ||
-    this.getTime() > epochADEnd.getTime()
-  ) {
-    throw new DateOutOfRangeError("Date is out of range");
-  }
+export function adToBS(date, { timeZone = defaultTimeZone } = {}) {
+  // Convert the AD date to BS using the BSDate factory method, which checks
+  // the supported conversion range
+  return BSDate.fromAD(date, { timeZone });
+}
 
-  // Convert the AD date to BS using the BSDate factory method
-  return BSDate.fromAD(this);
-};
+/**
+ * Converts Bikram Sambat date components to an Anno Domini Date.
+ * The result is the instant at which the BS day starts in the given time zone,
+ * which defaults to Nepal time (Asia/Kathmandu).
+ *
+ * @param {number} year - BS year (2000-2090 with the built-in calendar data)
+ * @param {number} month - BS month (1-12)
+ * @param {number} day - BS day (1-32, varies by month and year)
+ * @param {Object} [options={}] - Conversion options
+ * @param {string} [options.timeZone="Asia/Kathmandu"] - IANA time zone of the day start
+ * @returns {Date} The equivalent AD date
+ * @throws {BSDateOutOfRangeError} When the BS date is invalid or out of range
+ * @example
+ * bsToAD(2082, 5, 25); // 2025-09-09T18:15:00.000Z
+ * bsToAD(2082, 5, 25, { timeZone: 'UTC' }); // 2025-09-10T00:00:00.000Z
+ */
+export function bsToAD(year, month, day, { timeZone = defaultTimeZone } = {}) {
+  return new BSDate(year, month, day).toAD({ timeZone });
+}
@@ -16,15 +16,17 @@
  * - BS day is invalid for the given month/year
  * - Required constructor parameters are missing
  *
+ * The `field`, `value`, `min` and `max` properties identify the offending input
+ * so that callers can point at it without parsing the message.
+ *
  * @class BSDateOutOfRangeError
  * @extends Error
  * @example
  * try {
- *   const invalidDate = new BSDate(1999, 1, 1);
- *   invalidDate.toAD();
+ *   new BSDate(2082, 13, 1);
  * } catch (error) {
  *   if (error instanceof BSDateOutOfRangeError) {
- *     console.log('BS date is out of range:', error.message);
+ *     console.log(error.field, error.value, error.min, error.max); // "month" 13 1 12
  *   }
  * }
  */
@@ -33,14 +35,36 @@ class BSDateOutOfRangeError extends Error {
    * Creates a new BSDateOutOfRangeError instance.
    *
    * @param {string} message - The error message describing the validation failure
+   * @param {Object} [details={}] - Machine-readable details about the failure
+   * @param {string} [details.field] - The invalid field ("year", "month" or "day")
+   * @param {*} [details.value] - The rejected value
+   * @param {number} [details.min] - The smallest accepted value
+   * @param {number} [details.max] - The largest accepted value
    * @example
-   * throw new BSDateOutOfRangeError('Year 1999 is out of valid range (2000-2090)');
+   * throw new BSDateOutOfRangeError('Year 1999 is out of valid range (2000-2090)', {
+   *   field: 'year',
+   *   value: 1999,
+   *   min: 2000,
+   *   max: 2090,
+   * });
    */
-  constructor(message) {
+  constructor(message, { field, value, min, max } = {}) {
     super(message);
 
     /** @type {string} The name of the error */
     this.name = "BSDateOutOfRangeError";
+
+    /** @type {string|undefined} The invalid field */
+    this.field = field;
+
+    /** @type {*} The rejected value */
+    this.value = value;
+
+    /** @type {number|undefined} The smallest accepted value */
+    this.min = min;
+
+    /** @type {number|undefined} The largest accepted value */
+    this.max = max;
   }
 }
 
@@ -50,6 +74,9 @@ class BSDateOutOfRangeError extends Error {
  * - AD date is before the supported epoch (April 14, 1943)
  * - AD date is after the supported range
  *
+ * Like `BSDateOutOfRangeError`, it carries `field`, `value`, `min` and `max`
+ * properties describing the rejected input.
+ *
  * @class DateOutOfRangeError
  * @extends Error
  * @example
@@ -67,14 +94,90 @@ class DateOutOfRangeError extends Error {
    * Creates a new DateOutOfRangeError instance.
    *
    * @param {string} message - The error message describing the validation failure
+   * @param {Object} [details={}] - Machine-readable details about the failure
+   * @param {string} [details.field] - The invalid field (e.g., "date")
+   * @param {*} [details.value] - The rejected value
+   * @param {Date} [details.min] - The earliest accepted date
+   * @param {Date} [details.max] - The latest accepted date
    * @example
-   * throw new DateOutOfRangeError('Year is out of range');
+   * throw new DateOutOfRangeError('Date is out of range', {
+   *   field: 'date',
+   *   value: date,
+   *   min: epochADStart,
+   *   max: epochADEnd,
+   * });
    */
-  constructor(message) {
+  constructor(message, { field, value, min, max } = {}) {
     super(message);
 
     /** @type {string} The name of the error */
     this.name = "DateOutOfRangeError";
+
+    /** @type {string|undefined} The invalid field */
+    this.field = field;
+
+    /** @type {*} The rejected value */
+    this.value = value;
+
+    /** @type {Date|undefined} The earliest accepted date */
+    this.min = min;
+
+    /** @type {Date|undefined} The latest accepted date */
+    this.max = max;
+  }
+}
+
+/**
+ * Error thrown when calendar data loaded at runtime is malformed.
+ * This error is thrown when:
+ * - The data is not an object keyed by BS year
+ * - A year does not list 12 month lengths, or a month length is not 29-32 days
+ * - A year does not add up to 365 or 366 days
+ * - The loaded years are not consecutive or miss the epoch year 2000
+ *
+ * The `year`, `month` and `value` properties locate the offending entry.
+ *
+ * @class CalendarDataError
+ * @extends Error
+ * @example
+ * try {
+ *   loadCalendarData({ 2091: [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30] });
+ * } catch (error) {
+ *   if (error instanceof CalendarDataError) {
+ *     console.log(error.year, error.message); // 2091 "Year 2091 must list 12 month lengths"
+ *   }
+ * }
+ */
+class CalendarDataError extends Error {
+  /**
+   * Creates a new CalendarDataError instance.
+   *
+   * @param {string} message - The error message describing the validation failure
+   * @param {Object} [details={}] - Machine-readable details about the failure
+   * @param {number} [details.year] - The BS year of the offending entry
+   * @param {number} [details.month] - The BS month of the offending entry
+   * @param {*} [details.value] - The rejected value
+   * @example
+   * throw new CalendarDataError('Month 3 of 2091 has 33 days, expected 29-32', {
+   *   year: 2091,
+   *   month: 3,
+   *   value: 33,
+   * });
+   */
+  constructor(message, { year, month, value } = {}) {
+    super(message);
+
+    /** @type {string} The name of the error */
+    this.name = "CalendarDataError";
+
+    /** @type {number|undefined} The BS year of the offending entry */
+    this.year = year;
+
+    /** @type {number|undefined} The BS month of the offending entry */
+    this.month = month;
+
+    /** @type {*} The rejected value */
+    this.value = value;
   }
 }
 
@@ -82,4 +185,4 @@ class DateOutOfRangeError extends Error {
  * @module Errors
  * @description Export custom error classes for the BS Date library
  */
-export { BSDateOutOfRangeError, DateOutOfRangeError };
+export { BSDateOutOfRangeError, DateOutOfRangeError, CalendarDataError };
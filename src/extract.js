@@ -0,0 +1,378 @@
+/**
+ * @fileoverview Date Extraction for BS Date Library
+ * Finds BS dates, and AD dates labelled as such, in free Devanagari or
+ * romanized text: "२०८२ साल भाद्र २५ गते", "२०८२/०५/२५", "Bhadra 25, 2082",
+ * "बुधबार, भाद्र २५, २०८२" or "ई.सं. 2025-09-10".
+ *
+ * Month and weekday names are recognized in their common spelling variants
+ * (वैशाख/बैशाख, Shrawan/Saun, ...). Each match gets a confidence between 0
+ * and 1: named months, calendar labels (वि.सं., BS, ई.सं., AD, सन्) and the
+ * साल/गते markers raise it; bare numeric dates, which could be in either
+ * calendar, get less, and a weekday that does not fit the date lowers it.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import BSDate from "./bs-date.js";
+import { adToBS } from "./date-utils.js";
+import { escapeRegExp } from "./format.js";
+import { fromNepaliDigits } from "./number-utils.js";
+
+/**
+ * Spellings of each BS month, Baisakh first, in Devanagari and romanized script.
+ *
+ * @constant
+ * @type {Array<Array<string>>}
+ */
+// prettier-ignore
+const MONTH_NAMES = [
+  ["बैशाख", "वैशाख", "बैसाख", "वैसाख", "Baisakh", "Baishakh", "Baisakha", "Vaishakh", "Vaisakh"],
+  ["जेठ", "जेष्ठ", "ज्येष्ठ", "Jeth", "Jestha", "Jeshtha", "Jyeshtha", "Jyestha"],
+  ["असार", "आषाढ", "अषाढ", "Asar", "Asadh", "Ashadh", "Asadha", "Ashad", "Ashar", "Asaar"],
+  ["श्रावण", "साउन", "सावन", "Shrawan", "Shravan", "Srawan", "Sawan", "Saun", "Sauna"],
+  ["भाद्र", "भदौ", "भाद्रपद", "Bhadra", "Bhadau", "Bhadaw", "Bhado", "Bhadrapad"],
+  ["आश्विन", "असोज", "आसोज", "Ashwin", "Aswin", "Ashvin", "Asoj", "Ashoj", "Aasoj"],
+  ["कार्तिक", "कात्तिक", "Kartik", "Kartika", "Kattik", "Kaattik"],
+  ["मंसिर", "मङ्सिर", "मंग्सिर", "मार्गशीर्ष", "Mangsir", "Mangshir", "Mansir", "Marga", "Margashirsha"],
+  ["पुष", "पौष", "पुस", "पूस", "Poush", "Paush", "Push", "Pus", "Poos"],
+  ["माघ", "Magh", "Maagh"],
+  ["फाल्गुण", "फाल्गुन", "फागुन", "Falgun", "Phalgun", "Fagun", "Phagun"],
+  ["चैत", "चैत्र", "Chaitra", "Chait", "Chaita"],
+];
+
+/**
+ * Spellings of each weekday, Sunday first, in Devanagari and romanized script.
+ *
+ * @constant
+ * @type {Array<Array<string>>}
+ */
+// prettier-ignore
+const WEEKDAY_NAMES = [
+  ["आइतबार", "आइतवार", "आईतबार", "Aaitabar", "Aitabar", "Aaitbar", "Aitbar", "Aaitawar"],
+  ["सोमबार", "सोमवार", "Sombar", "Somabar", "Somvar", "Somwar"],
+  ["मंगलबार", "मंगलवार", "मङ्गलबार", "Mangalbar", "Mangalwar", "Mangalvar"],
+  ["बुधबार", "बुधवार", "Budhbar", "Budhabar", "Budhwar", "Budhvar"],
+  ["बिहीबार", "बिहिबार", "बिहीवार", "बृहस्पतिबार", "Bihibar", "Bihivar", "Bihiwar", "Brihaspatibar"],
+  ["शुक्रबार", "शुक्रवार", "Shukrabar", "Sukrabar", "Shukrawar", "Shukravar"],
+  ["शनिबार", "शनिवार", "सनिबार", "Shanibar", "Sanibar", "Shaniwar", "Shanivar"],
+];
+
+/**
+ * Labels marking a date as BS or AD. They may precede or follow the date, and
+ * are matched case-sensitively so that words like "ad" are not taken for them.
+ *
+ * @constant
+ * @type {{bs: Array<string>, ad: Array<string>}}
+ */
+const CALENDAR_LABELS = {
+  bs: [
+    "वि.सं.",
+    "वि. सं.",
+    "वि.सं",
+    "बि.सं.",
+    "बि. सं.",
+    "B.S.",
+    "BS",
+    "V.S.",
+    "VS",
+  ],
+  ad: ["ई.सं.", "ई. सं.", "ई.सं", "इ.सं.", "इ. सं.", "सन्", "A.D.", "AD", "CE"],
+};
+
+/**
+ * A Latin or Devanagari digit.
+ *
+ * @constant
+ * @type {string}
+ */
+const DIGIT = "[0-9०-९]";
+
+/**
+ * Base confidence of each kind of match, before labels, markers and weekdays
+ * are taken into account.
+ *
+ * @constant
+ * @type {Object.<string, number>}
+ */
+const BASE_CONFIDENCE = {
+  named: 0.8,
+  numeric: 0.6,
+  numericDayFirst: 0.5,
+};
+
+/**
+ * Makes the letters of a regular expression source match in either case. The
+ * scanners are compiled without the "i" flag, so that calendar labels can be
+ * matched case-sensitively.
+ *
+ * @private
+ * @param {string} source - A regular expression source with no escaped letters
+ * @returns {string} The source with each cased letter as a character class
+ */
+function anyCase(source) {
+  return source.replace(/\p{L}/gu, (letter) => {
+    const lower = letter.toLowerCase();
+    const upper = letter.toUpperCase();
+    return lower === upper || lower.length > 1 || upper.length > 1
+      ? letter
+      : `[${lower}${upper}]`;
+  });
+}
+
+/**
+ * Builds a named group matching any of the given names, longest first, as
+ * whole words only.
+ *
+ * @private
+ * @param {string} name - Name of the capturing group
+ * @param {Array<string>} names - The names to match
+ * @param {Object} [options={}] - Matching options
+ * @param {boolean} [options.ignoreCase=true] - Whether to match in either case
+ * @returns {string} A regular expression source
+ */
+function wordGroup(name, names, { ignoreCase = true } = {}) {
+  const choices = [...names]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join("|");
+  return `(?<![\\p{L}\\p{M}])(?<${name}>${
+    ignoreCase ? anyCase(choices) : choices
+  })(?![\\p{L}\\p{M}])`;
+}
+
+/**
+ * Builds a lookup from lower-cased spellings to their index in a name table.
+ *
+ * @private
+ * @param {Array<Array<string>>} table - Spellings grouped by index
+ * @returns {Map<string, number>} The lookup
+ */
+function nameIndex(table) {
+  return new Map(
+    table.flatMap((names, index) =>
+      names.map((name) => [name.toLowerCase(), index])
+    )
+  );
+}
+
+/**
+ * Lookups from lower-cased month and weekday spellings to their index, and
+ * from calendar labels to "bs" or "ad".
+ *
+ * @constant
+ * @type {Map<string, number|string>}
+ */
+const MONTHS = nameIndex(MONTH_NAMES);
+const WEEKDAYS = nameIndex(WEEKDAY_NAMES);
+const LABELS = new Map(
+  Object.entries(CALENDAR_LABELS).flatMap(([calendar, labels]) =>
+    labels.map((label) => [label, calendar])
+  )
+);
+
+/**
+ * Builds the scanner for one date shape, wrapping it with optional calendar
+ * labels and weekday names.
+ *
+ * @private
+ * @param {string} kind - The kind of match, a key of `BASE_CONFIDENCE`
+ * @param {string} body - Regular expression source of the date itself
+ * @returns {{kind: string, pattern: RegExp}} The scanner
+ */
+function scanner(kind, body) {
+  const labels = [...LABELS.keys()];
+  const weekdays = [...WEEKDAYS.keys()];
+  const source =
+    `(?:${wordGroup("labelBefore", labels, { ignoreCase: false })}\\s*:?\\s*)?` +
+    `(?:${wordGroup("weekdayBefore", weekdays)}\\s*,?\\s*)?` +
+    body +
+    `(?:\\s*,?\\s*${wordGroup("weekdayAfter", weekdays)})?` +
+    `(?:\\s*${wordGroup("labelAfter", labels, { ignoreCase: false })})?`;
+  return { kind, pattern: new RegExp(source, "gu") };
+}
+
+/**
+ * Regular expression sources for the parts of a date. Numbers are not
+ * allowed to be part of longer numbers.
+ *
+ * @constant
+ * @type {string}
+ */
+const YEAR = `(?<![0-9०-९])(?<year>${DIGIT}{4})(?![0-9०-९])`;
+const MONTH = `(?<![0-9०-९])(?<month>${DIGIT}{1,2})(?![0-9०-९])`;
+const DAY = `(?<![0-9०-९])(?<day>${DIGIT}{1,2})(?![0-9०-९])`;
+const MONTH_NAME = wordGroup("monthName", [...MONTHS.keys()]);
+const YEAR_MARKER = `(?:\\s*(?<yearMarker>${anyCase(
+  "साल|saal|sal"
+)})(?![\\p{L}\\p{M}]))?`;
+const DAY_MARKER = `(?:\\s*(?<dayMarker>${anyCase(
+  "गते|gate|gatey"
+)})(?![\\p{L}\\p{M}]))?`;
+
+/**
+ * The date shapes that are recognized.
+ *
+ * @constant
+ * @type {Array<{kind: string, pattern: RegExp}>}
+ */
+const SCANNERS = [
+  // २०८२ साल भाद्र २५ गते, 2082 Bhadra 25
+  scanner(
+    "named",
+    `${YEAR}${YEAR_MARKER}\\s*,?\\s*${MONTH_NAME}\\s*${DAY}${DAY_MARKER}`
+  ),
+  // भाद्र २५, २०८२, Bhadra 25 gate 2082
+  scanner(
+    "named",
+    `${MONTH_NAME}\\s*${DAY}${DAY_MARKER}\\s*,?\\s*${YEAR}${YEAR_MARKER}`
+  ),
+  // २५ भाद्र २०८२, 25 gate Bhadra, 2082
+  scanner(
+    "named",
+    `${DAY}${DAY_MARKER}\\s*${MONTH_NAME}\\s*,?\\s*${YEAR}${YEAR_MARKER}`
+  ),
+  // २०८२/०५/२५, 2082-05-25, 2082.5.25
+  scanner("numeric", `${YEAR}(?<separator>[-/.])${MONTH}\\k<separator>${DAY}`),
+  // २५/०५/२०८२, 25-05-2082
+  scanner(
+    "numericDayFirst",
+    `${DAY}(?<separator>[-/.])${MONTH}\\k<separator>${YEAR}`
+  ),
+];
+
+/**
+ * Builds the BS date of a match, converting labelled AD dates.
+ *
+ * @private
+ * @param {string} calendar - "bs" or "ad"
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @param {number} day - The day
+ * @returns {BSDate|null} The BS date, or null if the date does not exist or is out of range
+ */
+function toBSDate(calendar, year, month, day) {
+  if (calendar === "bs") {
+    return BSDate.isValid(year, month, day)
+      ? new BSDate(year, month, day)
+      : null;
+  }
+  // Date.UTC() would read years 0-99 as 1900-1999
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day);
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  try {
+    return adToBS(date, { timeZone: "UTC" });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turns a regular expression match into an extracted date.
+ *
+ * @private
+ * @param {string} kind - The kind of match
+ * @param {RegExpMatchArray} match - The match
+ * @returns {{start: number, end: number, text: string, date: BSDate, calendar: string, confidence: number}|null}
+ * The extracted date, or null if the match is not a usable date
+ */
+function toExtraction(kind, match) {
+  const groups = match.groups;
+  const labels = [groups.labelBefore, groups.labelAfter]
+    .filter(Boolean)
+    .map((label) => LABELS.get(label));
+  // Conflicting labels, such as "BS 2082-05-25 AD", cannot be resolved
+  if (new Set(labels).size > 1) {
+    return null;
+  }
+  const calendar = labels[0] ?? "bs";
+  // Month names are those of the BS calendar
+  if (groups.monthName && calendar === "ad") {
+    return null;
+  }
+
+  const month = groups.monthName
+    ? MONTHS.get(groups.monthName.toLowerCase()) + 1
+    : fromNepaliDigits(groups.month);
+  const date = toBSDate(
+    calendar,
+    fromNepaliDigits(groups.year),
+    month,
+    fromNepaliDigits(groups.day)
+  );
+  if (!date) {
+    return null;
+  }
+
+  let confidence = BASE_CONFIDENCE[kind];
+  if (labels.length > 0 || groups.yearMarker || groups.dayMarker) {
+    confidence = 1;
+  } else if (kind !== "named" && /[०-९]/.test(match[0])) {
+    // Devanagari digits suggest a BS date
+    confidence += 0.1;
+  }
+  const weekday = groups.weekdayBefore ?? groups.weekdayAfter;
+  if (weekday !== undefined) {
+    confidence =
+      WEEKDAYS.get(weekday.toLowerCase()) === date.dayOfWeek()
+        ? Math.min(1, confidence + 0.1)
+        : confidence / 2;
+  }
+
+  return {
+    start: match.index,
+    end: match.index + match[0].length,
+    text: match[0],
+    date,
+    calendar,
+    confidence: Math.round(confidence * 100) / 100,
+  };
+}
+
+/**
+ * Finds BS dates, and AD dates labelled as such, in free text. Overlapping
+ * matches are resolved in favour of the more confident, then the longer one.
+ * Matches that are not valid dates in the supported range are skipped.
+ *
+ * @param {string} text - The text to scan
+ * @returns {Array<{start: number, end: number, text: string, date: BSDate, calendar: string, confidence: number}>}
+ * The dates in order of appearance: `start` and `end` delimit the matched
+ * text, `date` is the BS date (converted for AD matches), `calendar` is "bs"
+ * or "ad" and `confidence` is between 0 and 1
+ * @throws {TypeError} When the text is not a string
+ * @example
+ * extractDates("मिति २०८२ साल भाद्र २५ गते बुधबार को सूचना");
+ * // [{ start: 5, end: 33, text: "२०८२ साल भाद्र २५ गते बुधबार",
+ * //    date: BSDate { year: 2082, month: 5, day: 25 }, calendar: "bs", confidence: 1 }]
+ * extractDates("Due on Saun 10, 2082 or 2025-09-10 AD");
+ * // [{ ..., date: BSDate { year: 2082, month: 4, day: 10 }, calendar: "bs", confidence: 0.8 },
+ * //  { ..., date: BSDate { year: 2082, month: 5, day: 25 }, calendar: "ad", confidence: 1 }]
+ */
+export function extractDates(text) {
+  if (typeof text !== "string") {
+    throw new TypeError(`${String(text)} is not a string`);
+  }
+
+  const candidates = SCANNERS.flatMap(({ kind, pattern }) =>
+    [...text.matchAll(pattern)].map((match) => toExtraction(kind, match))
+  ).filter(Boolean);
+
+  candidates.sort(
+    (a, b) => b.confidence - a.confidence || b.end - b.start - (a.end - a.start)
+  );
+  const accepted = [];
+  for (const candidate of candidates) {
+    if (
+      accepted.every(
+        (other) => candidate.end <= other.start || candidate.start >= other.end
+      )
+    ) {
+      accepted.push(candidate);
+    }
+  }
+  return accepted.sort((a, b) => a.start - b.start);
+}
@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Formatting and Parsing Utilities for BS Date Library
+ * Implements the token-based pattern language shared by `BSDate#format()` and
+ * `BSDate.parse()`.
+ *
+ * Supported tokens:
+ * - `YYYY` - 4-digit year (2082)
+ * - `YY` - 2-digit year (82)
+ * - `MMMM` - month name (Bhadra)
+ * - `MMM` - abbreviated month name (Bha)
+ * - `MM` - zero-padded month (05)
+ * - `M` - month (5)
+ * - `DD` - zero-padded day (05)
+ * - `D` - day (5)
+ * - `dddd` - weekday name (Budhbar)
+ * - `ddd` - abbreviated weekday name (Bud)
+ * - `HH` / `H` - 24-hour clock hour, zero-padded or not (09 / 9)
+ * - `hh` / `h` - 12-hour clock hour, zero-padded or not (09 / 9)
+ * - `mm` - zero-padded minutes (05)
+ * - `ss` - zero-padded seconds (05)
+ * - `SSS` - zero-padded milliseconds (005)
+ * - `A` - AM/PM marker (AM)
+ *
+ * Names, digits and AM/PM markers come from a locale pack (see `locales.js`),
+ * by default `ne-Latn`: romanized names with Latin digits. Prefixing any token
+ * with `N` renders it with the `ne` pack instead: Devanagari digits for
+ * numeric tokens (`NYYYY` → "२०८२"), Devanagari names for name tokens
+ * (`NMMMM` → "भाद्र") and पूर्वाह्न/अपराह्न for `NA`. Text wrapped in
+ * square brackets is emitted literally (`[गते]`). Time tokens read the
+ * `hours`, `minutes`, `seconds` and `milliseconds` of a `BSDateTime` and are
+ * zero for a plain `BSDate`.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { fromNepaliDigits } from "./number-utils.js";
+import { getLocale } from "./locales.js";
+
+/**
+ * Matches an escaped literal or a (optionally `N`-prefixed) token.
+ * Longer tokens are listed first so that `MMMM` wins over `MMM`, `MM` and `M`.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const TOKEN_PATTERN =
+  /\[([^\]]*)]|(N?)(YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|SSS|A)/g;
+
+/**
+ * Regular expression fragment matching a single Latin or Devanagari digit.
+ *
+ * @constant
+ * @type {string}
+ */
+const DIGIT = "[0-9०-९]";
+
+/**
+ * Locale used for tokens without the `N` prefix, unless another is given.
+ *
+ * @constant
+ * @type {string}
+ */
+const DEFAULT_LOCALE = "ne-Latn";
+
+/**
+ * Locale used for `N`-prefixed tokens.
+ *
+ * @constant
+ * @type {string}
+ */
+const NEPALI_LOCALE = "ne";
+
+/**
+ * Pads a number to the given width and renders it in a locale's digits.
+ *
+ * @private
+ * @param {number} value - The number to render
+ * @param {number} width - Minimum number of digits
+ * @param {Array<string>} digits - The digits 0-9 to render with
+ * @returns {string} The padded number
+ */
+function pad(value, width, digits) {
+  return String(value)
+    .padStart(width, "0")
+    .replace(/[0-9]/g, (digit) => digits[digit]);
+}
+
+/**
+ * Formats a BS date or date-time according to a token pattern.
+ *
+ * @param {import("./bs-date.js").BSDate|import("./bs-date-time.js").BSDateTime} date - The BS date to format
+ * @param {string} pattern - The token pattern (e.g., "YYYY-MM-DD")
+ * @param {Object} [options={}] - Formatting options
+ * @param {string} [options.locale="ne-Latn"] - Locale pack for tokens without the `N` prefix
+ * @returns {string} The formatted date
+ * @throws {RangeError} When the locale is not registered
+ * @example
+ * formatBSDate(new BSDate(2082, 5, 25), "NMMMM ND, NYYYY"); // "भाद्र २५, २०८२"
+ * formatBSDate(new BSDate(2082, 5, 25), "ddd, D MMM YYYY", { locale: "en" }); // "Wed, 25 Bha 2082"
+ */
+export function formatBSDate(date, pattern, { locale = DEFAULT_LOCALE } = {}) {
+  const packs = { "": getLocale(locale), N: getLocale(NEPALI_LOCALE) };
+
+  return pattern.replace(TOKEN_PATTERN, (match, literal, prefix, token) => {
+    if (literal !== undefined) {
+      return literal;
+    }
+
+    const pack = packs[prefix];
+    const { digits } = pack;
+    const { hours = 0, minutes = 0, seconds = 0, milliseconds = 0 } = date;
+    switch (token) {
+      case "YYYY":
+        return pad(date.year, 4, digits);
+      case "YY":
+        return pad(date.year % 100, 2, digits);
+      case "MMMM":
+        return date.monthName({ locale: pack.code });
+      case "MMM":
+        return date.monthName({ locale: pack.code, short: true });
+      case "MM":
+        return pad(date.month, 2, digits);
+      case "M":
+        return pad(date.month, 1, digits);
+      case "DD":
+        return pad(date.day, 2, digits);
+      case "D":
+        return pad(date.day, 1, digits);
+      case "dddd":
+        return date.dayName({ locale: pack.code });
+      case "ddd":
+        return date.dayName({ locale: pack.code, short: true });
+      case "HH":
+        return pad(hours, 2, digits);
+      case "H":
+        return pad(hours, 1, digits);
+      case "hh":
+        return pad(hours % 12 || 12, 2, digits);
+      case "h":
+        return pad(hours % 12 || 12, 1, digits);
+      case "mm":
+        return pad(minutes, 2, digits);
+      case "ss":
+        return pad(seconds, 2, digits);
+      case "SSS":
+        return pad(milliseconds, 3, digits);
+      case "A":
+        return pack.meridiems[hours < 12 ? 0 : 1];
+    }
+  });
+}
+
+/**
+ * Escapes a string for literal use inside a regular expression.
+ *
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds an alternation matching any of the given names, longest first.
+ *
+ * @private
+ * @param {Array<string>} names - The names to match
+ * @returns {string} A regular expression group
+ */
+function alternation(names) {
+  return `(${[...names]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join("|")})`;
+}
+
+/**
+ * Finds a name, case-insensitively, in the lists of the given locale packs.
+ *
+ * @private
+ * @param {Array<import("./locales.js").LocalePack>} packs - The packs to search
+ * @param {Array<string>} fields - The list fields to search, e.g. ["months", "monthsShort"]
+ * @param {string} name - The name to find
+ * @returns {number} The index of the name in its list, or -1 if not found
+ */
+function indexOfName(packs, fields, name) {
+  const wanted = name.toLowerCase();
+  for (const pack of packs) {
+    for (const field of fields) {
+      const index = pack[field].findIndex(
+        (entry) => entry.toLowerCase() === wanted
+      );
+      if (index !== -1) {
+        return index;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses a string into BS date and time components according to a token pattern.
+ * Numeric tokens accept Latin or Devanagari digits and name tokens accept
+ * (case-insensitive) names from the `ne` and `ne-Latn` locale packs, and from
+ * `options.locale` if given, regardless of the `N` prefix. Weekday names are
+ * matched but otherwise ignored. Time components missing from the pattern
+ * are zero.
+ *
+ * @param {string} text - The string to parse
+ * @param {string} pattern - The token pattern (e.g., "YYYY-MM-DD")
+ * @param {Object} [options={}] - Parsing options
+ * @param {string} [options.locale] - Another locale pack whose names are accepted
+ * @returns {Array<number>} An array containing [year, month, day, hours, minutes,
+ * seconds, milliseconds] in BS calendar
+ * @throws {Error} When the string does not match the pattern
+ * @throws {RangeError} When the locale is not registered
+ * @example
+ * parseBSDate("२०८२/०५/२५", "YYYY/MM/DD"); // [2082, 5, 25, 0, 0, 0, 0]
+ * parseBSDate("Bhadra 25, 2082 2:30 PM", "MMMM D, YYYY h:mm A"); // [2082, 5, 25, 14, 30, 0, 0]
+ * parseBSDate("25 Bhādra 2082", "D MMMM YYYY", { locale: "ne-Latn-iast" }); // [2082, 5, 25, 0, 0, 0, 0]
+ */
+export function parseBSDate(text, pattern, { locale } = {}) {
+  const packs = [getLocale(NEPALI_LOCALE), getLocale(DEFAULT_LOCALE)];
+  if (locale !== undefined) {
+    packs.push(getLocale(locale));
+  }
+  const namesOf = (...fields) =>
+    alternation(
+      packs.flatMap((pack) => fields.flatMap((field) => pack[field]))
+    );
+  const monthNames = namesOf("months");
+  const monthShortNames = namesOf("monthsShort", "months");
+  const weekdayNames = namesOf("weekdays");
+  const weekdayShortNames = namesOf("weekdaysShort", "weekdays");
+  const fields = [];
+  let source = "";
+  let lastIndex = 0;
+
+  for (const match of pattern.matchAll(TOKEN_PATTERN)) {
+    source += escapeRegExp(pattern.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const [, literal, , token] = match;
+    if (literal !== undefined) {
+      source += escapeRegExp(literal);
+      continue;
+    }
+
+    fields.push(token);
+    switch (token) {
+      case "YYYY":
+        source += `(${DIGIT}{4})`;
+        break;
+      case "YY":
+        source += `(${DIGIT}{2})`;
+        break;
+      case "MMMM":
+        source += monthNames;
+        break;
+      case "MMM":
+        source += monthShortNames;
+        break;
+      case "MM":
+      case "M":
+      case "DD":
+      case "D":
+      case "HH":
+      case "H":
+      case "hh":
+      case "h":
+      case "mm":
+      case "ss":
+        source += `(${DIGIT}{1,2})`;
+        break;
+      case "SSS":
+        source += `(${DIGIT}{3})`;
+        break;
+      case "dddd":
+        source += weekdayNames;
+        break;
+      case "ddd":
+        source += weekdayShortNames;
+        break;
+      case "A":
+        source += namesOf("meridiems");
+        break;
+    }
+  }
+  source += escapeRegExp(pattern.slice(lastIndex));
+
+  const match = new RegExp(`^${source}$`, "i").exec(text.trim());
+  if (!match) {
+    throw new Error(`"${text}" does not match pattern "${pattern}"`);
+  }
+
+  let [year, month, day] = [NaN, NaN, NaN];
+  let [hours, minutes, seconds, milliseconds] = [0, 0, 0, 0];
+  let meridiem = null;
+  fields.forEach((token, index) => {
+    const value = match[index + 1];
+    switch (token) {
+      case "YYYY":
+        year = fromNepaliDigits(value);
+        break;
+      case "YY":
+        year = 2000 + fromNepaliDigits(value);
+        break;
+      case "MMMM":
+      case "MMM":
+        month = indexOfName(packs, ["months", "monthsShort"], value) + 1;
+        break;
+      case "MM":
+      case "M":
+        month = fromNepaliDigits(value);
+        break;
+      case "DD":
+      case "D":
+        day = fromNepaliDigits(value);
+        break;
+      case "HH":
+      case "H":
+      case "hh":
+      case "h":
+        hours = fromNepaliDigits(value);
+        break;
+      case "mm":
+        minutes = fromNepaliDigits(value);
+        break;
+      case "ss":
+        seconds = fromNepaliDigits(value);
+        break;
+      case "SSS":
+        milliseconds = fromNepaliDigits(value);
+        break;
+      case "A":
+        meridiem = indexOfName(packs, ["meridiems"], value) === 1 ? "PM" : "AM";
+        break;
+    }
+  });
+
+  // Convert 12-hour clock hours, leaving out-of-range values for validation
+  if (meridiem && hours >= 1 && hours <= 12) {
+    hours = (hours % 12) + (meridiem === "PM" ? 12 : 0);
+  }
+
+  if ([year, month, day].some(Number.isNaN)) {
+    throw new Error(
+      `Pattern "${pattern}" must contain a year, a month and a day token`
+    );
+  }
+
+  return [year, month, day, hours, minutes, seconds, milliseconds];
+}
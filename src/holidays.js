@@ -0,0 +1,184 @@
+/**
+ * @fileoverview Holiday Registry for BS Date Library
+ * Keeps track of public holidays and other days off keyed on BS dates.
+ *
+ * Two kinds of entries are supported:
+ * - Recurring entries (no `year`) fall on the same BS month and day every
+ *   year, like Constitution Day on Ashwin 3. The fixed-date national holidays
+ *   of Nepal are registered this way when the module loads.
+ * - Dated entries (with a `year`) fall on a single BS date. Lunar festivals
+ *   such as Dashain, Tihar or Nepal Sambat New Year move every year and are
+ *   registered from per-year tables.
+ *
+ * Organisations can register their own days off with `registerHolidays()`,
+ * which returns a function that removes them again.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import BSDate from "./bs-date.js";
+import { BSDateOutOfRangeError } from "./errors.js";
+
+/**
+ * A holiday as returned by the registry.
+ *
+ * @typedef {Object} Holiday
+ * @property {string} name - Name of the holiday in Nepali
+ * @property {string} englishName - Name of the holiday in English
+ * @property {string} type - Kind of holiday ("national", "festival", "custom" or any caller-defined type)
+ */
+
+/**
+ * Fixed-date national holidays of Nepal, observed on the same BS date every year.
+ *
+ * @constant
+ * @type {ReadonlyArray<{month: number, day: number, name: string, englishName: string, type: string}>}
+ * @example
+ * nationalHolidays.find(({ month, day }) => month === 6 && day === 3).englishName; // "Constitution Day"
+ */
+export const nationalHolidays = Object.freeze(
+  [
+    [1, 1, "नयाँ वर्ष", "Nepali New Year"],
+    [1, 11, "लोकतन्त्र दिवस", "Loktantra Diwas"],
+    [2, 15, "गणतन्त्र दिवस", "Republic Day"],
+    [6, 3, "संविधान दिवस", "Constitution Day"],
+    [9, 27, "पृथ्वी जयन्ती", "Prithvi Jayanti"],
+    [10, 1, "माघे संक्रान्ति", "Maghe Sankranti"],
+    [10, 16, "शहीद दिवस", "Martyrs' Day"],
+    [11, 7, "प्रजातन्त्र दिवस", "Democracy Day"],
+  ].map(([month, day, name, englishName]) =>
+    Object.freeze({ month, day, name, englishName, type: "national" })
+  )
+);
+
+/**
+ * Recurring holidays keyed by "month-day".
+ *
+ * @type {Map<string, Array<Holiday>>}
+ */
+const recurringHolidays = new Map();
+
+/**
+ * Single-date holidays keyed by "year-month-day".
+ *
+ * @type {Map<string, Array<Holiday>>}
+ */
+const datedHolidays = new Map();
+
+/**
+ * Validates a registry entry and returns the map and key it is stored under.
+ *
+ * @private
+ * @param {Object} entry - The entry to validate
+ * @returns {[Map<string, Array<Holiday>>, string]} The target map and key
+ * @throws {BSDateOutOfRangeError} When the date does not exist
+ * @throws {Error} When the name is missing
+ */
+function locate({ year, month, day, name }) {
+  if (typeof name !== "string" || name === "") {
+    throw new Error("Holiday name is required");
+  }
+
+  if (year !== undefined) {
+    // Dated entries must name an existing BS date
+    new BSDate(year, month, day);
+    return [datedHolidays, `${year}-${month}-${day}`];
+  }
+
+  for (const [field, value, max] of [
+    ["month", month, 12],
+    ["day", day, 32],
+  ]) {
+    if (!Number.isInteger(value) || value < 1 || value > max) {
+      throw new BSDateOutOfRangeError(
+        `Holiday ${field} ${value} is out of valid range (1-${max})`,
+        { field, value, min: 1, max }
+      );
+    }
+  }
+  return [recurringHolidays, `${month}-${day}`];
+}
+
+/**
+ * Registers holidays or other days off.
+ * Accepts either a list of entries or a per-year table whose keys are BS years
+ * and whose values are lists of entries for that year. Entries without a year
+ * recur every year; a recurring day that a month does not have in some year
+ * (e.g. day 32) is simply not observed that year. All entries are validated
+ * before any of them is registered.
+ *
+ * @param {Array<Object>|Object.<number, Array<Object>>} entries - The entries or per-year table to register
+ * @param {number} [entries[].year] - BS year, omitted for recurring holidays
+ * @param {number} entries[].month - BS month (1-12)
+ * @param {number} entries[].day - BS day
+ * @param {string} entries[].name - Name of the holiday in Nepali
+ * @param {string} [entries[].englishName=name] - Name of the holiday in English
+ * @param {string} [entries[].type="custom"] - Kind of holiday
+ * @returns {function(): void} A function that unregisters the added entries
+ * @throws {BSDateOutOfRangeError} When an entry names a date that does not exist
+ * @throws {Error} When an entry has no name
+ * @example
+ * // Lunar festivals from a per-year table
+ * registerHolidays({
+ *   2082: [
+ *     { month: 6, day: 16, name: "विजया दशमी", englishName: "Vijaya Dashami", type: "festival" },
+ *   ],
+ * });
+ *
+ * // An organisation's annual day off
+ * const unregister = registerHolidays([
+ *   { month: 4, day: 1, name: "वार्षिकोत्सव", englishName: "Foundation Day" },
+ * ]);
+ * unregister();
+ */
+export function registerHolidays(entries) {
+  const list = Array.isArray(entries)
+    ? entries
+    : Object.entries(entries).flatMap(([year, yearEntries]) =>
+        yearEntries.map((entry) => ({ ...entry, year: Number(year) }))
+      );
+
+  const added = list.map((entry) => {
+    const [map, key] = locate(entry);
+    const { name, englishName = name, type = "custom" } = entry;
+    return [map, key, Object.freeze({ name, englishName, type })];
+  });
+
+  for (const [map, key, holiday] of added) {
+    map.set(key, [...(map.get(key) ?? []), holiday]);
+  }
+
+  return () => {
+    for (const [map, key, holiday] of added) {
+      const remaining = (map.get(key) ?? []).filter((h) => h !== holiday);
+      if (remaining.length > 0) {
+        map.set(key, remaining);
+      } else {
+        map.delete(key);
+      }
+    }
+  };
+}
+
+/**
+ * Looks up the holidays registered for a BS date.
+ * Recurring holidays come first, followed by the holidays of that year, each
+ * in registration order.
+ *
+ * @param {number} year - BS year
+ * @param {number} month - BS month (1-12)
+ * @param {number} day - BS day
+ * @returns {Array<Holiday>} The holidays on that date (empty if none)
+ * @example
+ * holidaysOn(2082, 6, 3); // [{ name: "संविधान दिवस", englishName: "Constitution Day", type: "national" }]
+ */
+export function holidaysOn(year, month, day) {
+  return [
+    ...(recurringHolidays.get(`${month}-${day}`) ?? []),
+    ...(datedHolidays.get(`${year}-${month}-${day}`) ?? []),
+  ];
+}
+
+registerHolidays(nationalHolidays);
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Locale Registry for BS Date Library
+ * Locale packs supply the month and weekday names, digits, AM/PM markers and
+ * date ordering used by `monthName()`, `dayName()`, `format()` and
+ * `toLocaleDateString()`.
+ *
+ * Built-in packs:
+ * - `ne` - Nepali in Devanagari script (भाद्र, बुधबार, २०८२)
+ * - `en` - English, with the BS month names as written in English (Jestha, Ashadh)
+ * - `ne-Latn` - Nepali in the common romanization (Jeth, Budhbar)
+ * - `ne-Latn-iast` - Nepali in IAST transliteration (Jeṭha, Budhabāra)
+ *
+ * Further packs, such as Nepal Bhasa, Maithili or Bhojpuri, are added with
+ * `registerLocale()`, optionally inheriting missing fields from a base pack.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { months, weekdays, weekdaysLocal } from "./config.js";
+
+/**
+ * @typedef {Object} LocalePack
+ * @property {string} code - The locale code
+ * @property {Array<string>} months - Full month names, Baisakh first (12)
+ * @property {Array<string>} monthsShort - Abbreviated month names (12)
+ * @property {Array<string>} weekdays - Full weekday names, Sunday first (7)
+ * @property {Array<string>} weekdaysShort - Abbreviated weekday names (7)
+ * @property {Array<string>} digits - The digits 0-9 (10)
+ * @property {Array<string>} meridiems - The AM and PM markers (2)
+ * @property {string} dateFormat - Token pattern of a full date, giving the order of its parts
+ */
+
+/**
+ * Number of entries expected in each list of a locale pack.
+ *
+ * @constant
+ * @type {Object.<string, number>}
+ */
+const LIST_LENGTHS = {
+  months: 12,
+  monthsShort: 12,
+  weekdays: 7,
+  weekdaysShort: 7,
+  digits: 10,
+  meridiems: 2,
+};
+
+/**
+ * Locale packs shipped with the library.
+ *
+ * @constant
+ * @type {Array<LocalePack>}
+ */
+// prettier-ignore
+const BUILT_IN_LOCALES = [
+  {
+    code: "ne",
+    months: Object.keys(months),
+    monthsShort: ["बै", "जे", "अ", "श्रा", "भा", "आ", "का", "मं", "पु", "मा", "फा", "चै"],
+    weekdays: Object.keys(weekdays),
+    weekdaysShort: ["आइत", "सोम", "मंगल", "बुध", "बिही", "शुक्र", "शनि"],
+    digits: ["०", "१", "२", "३", "४", "५", "६", "७", "८", "९"],
+    meridiems: ["पूर्वाह्न", "अपराह्न"],
+    dateFormat: "MMMM D, YYYY",
+  },
+  {
+    code: "en",
+    months: ["Baisakh", "Jestha", "Ashadh", "Shrawan", "Bhadra", "Ashwin", "Kartik", "Mangsir", "Poush", "Magh", "Falgun", "Chaitra"],
+    monthsShort: ["Bai", "Jes", "Asa", "Shr", "Bha", "Asw", "Kar", "Man", "Pou", "Mag", "Fal", "Cha"],
+    weekdays: weekdaysLocal,
+    weekdaysShort: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+    digits: ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"],
+    meridiems: ["AM", "PM"],
+    dateFormat: "D MMMM YYYY",
+  },
+  {
+    code: "ne-Latn",
+    months: Object.values(months),
+    monthsShort: ["Bai", "Jet", "Asa", "Shr", "Bha", "Ash", "Kar", "Man", "Pou", "Mag", "Fal", "Cha"],
+    weekdays: Object.values(weekdays),
+    weekdaysShort: ["Aai", "Som", "Man", "Bud", "Bih", "Shu", "Sha"],
+    digits: ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"],
+    meridiems: ["AM", "PM"],
+    dateFormat: "MMMM D, YYYY",
+  },
+  {
+    code: "ne-Latn-iast",
+    months: ["Baiśākha", "Jeṭha", "Asāra", "Śrāvaṇa", "Bhādra", "Āśvina", "Kārtika", "Maṃsira", "Puṣa", "Māgha", "Phālguṇa", "Caita"],
+    monthsShort: ["Bai", "Jeṭ", "Asā", "Śrā", "Bhā", "Āśv", "Kār", "Maṃ", "Puṣ", "Māg", "Phā", "Cai"],
+    weekdays: ["Āitabāra", "Somabāra", "Maṃgalavāra", "Budhabāra", "Bihībāra", "Śukrabāra", "Śanivāra"],
+    weekdaysShort: ["Āit", "Som", "Maṃ", "Bud", "Bih", "Śuk", "Śan"],
+    digits: ["0", "1", "2", "3", "4", "5", "6", "7", "8", "9"],
+    meridiems: ["pūrvāhna", "aparāhna"],
+    dateFormat: "MMMM D, YYYY",
+  },
+];
+
+/**
+ * Registered locale packs, keyed by lower-cased locale code.
+ *
+ * @type {Map<string, LocalePack>}
+ */
+const locales = new Map();
+
+/**
+ * Checks a locale pack and returns a frozen copy.
+ *
+ * @private
+ * @param {string} code - The locale code
+ * @param {Object} pack - The pack to check
+ * @returns {LocalePack} The frozen pack
+ * @throws {TypeError} When a field is missing or has the wrong shape
+ */
+function freezePack(code, pack) {
+  for (const [field, length] of Object.entries(LIST_LENGTHS)) {
+    const list = pack[field];
+    if (
+      !Array.isArray(list) ||
+      list.length !== length ||
+      !list.every((entry) => typeof entry === "string" && entry !== "")
+    ) {
+      throw new TypeError(
+        `Locale "${code}" needs ${field} as a list of ${length} non-empty strings`
+      );
+    }
+  }
+  if (typeof pack.dateFormat !== "string" || pack.dateFormat === "") {
+    throw new TypeError(`Locale "${code}" needs a dateFormat pattern`);
+  }
+
+  const frozen = { code, dateFormat: pack.dateFormat };
+  for (const field of Object.keys(LIST_LENGTHS)) {
+    frozen[field] = Object.freeze([...pack[field]]);
+  }
+  return Object.freeze(frozen);
+}
+
+/**
+ * Gets a registered locale pack. Locale codes are case-insensitive.
+ *
+ * @param {string} code - The locale code, e.g. "ne" or "en"
+ * @returns {LocalePack} The locale pack
+ * @throws {RangeError} When no pack is registered for the code
+ * @example
+ * getLocale("ne").months[4]; // "भाद्र"
+ * getLocale("ne-Latn-iast").weekdays[3]; // "Budhabāra"
+ */
+export function getLocale(code) {
+  const pack = locales.get(String(code).toLowerCase());
+  if (!pack) {
+    throw new RangeError(
+      `Unknown locale "${code}", expected one of ${availableLocales().join(", ")}`
+    );
+  }
+  return pack;
+}
+
+/**
+ * Lists the codes of the registered locale packs.
+ *
+ * @returns {Array<string>} The locale codes
+ * @example
+ * availableLocales(); // ["ne", "en", "ne-Latn", "ne-Latn-iast"]
+ */
+export function availableLocales() {
+  return [...locales.values()].map((pack) => pack.code);
+}
+
+/**
+ * Registers a locale pack, replacing any pack with the same code. With a
+ * `base`, fields missing from the pack are taken from the base pack.
+ *
+ * @param {string} code - The locale code
+ * @param {Object} pack - The pack's fields, as in {@link LocalePack}
+ * @param {string} [pack.base] - Code of a registered pack to take missing fields from
+ * @returns {Function} A function that removes the pack again, restoring any
+ * pack it replaced
+ * @throws {TypeError} When the code is empty or a field is missing or has the wrong shape
+ * @throws {RangeError} When the base locale is not registered
+ * @example
+ * // Maithili, written in Devanagari like Nepali
+ * const unregister = registerLocale("mai", {
+ *   base: "ne",
+ *   weekdays: ["रवि", "सोम", "मंगल", "बुध", "बृहस्पति", "शुक्र", "शनि"],
+ *   weekdaysShort: ["रवि", "सोम", "मंगल", "बुध", "बृह", "शुक्र", "शनि"],
+ * });
+ * new BSDate(2082, 5, 25).dayName({ locale: "mai" }); // "बुध"
+ * unregister();
+ */
+export function registerLocale(code, { base, ...pack } = {}) {
+  if (typeof code !== "string" || code === "") {
+    throw new TypeError("Locale code must be a non-empty string");
+  }
+  const frozen = freezePack(
+    code,
+    base === undefined ? pack : { ...getLocale(base), ...pack }
+  );
+
+  const key = code.toLowerCase();
+  const previous = locales.get(key);
+  locales.set(key, frozen);
+
+  return () => {
+    if (locales.get(key) !== frozen) {
+      return;
+    }
+    if (previous) {
+      locales.set(key, previous);
+    } else {
+      locales.delete(key);
+    }
+  };
+}
+
+for (const { code, ...pack } of BUILT_IN_LOCALES) {
+  registerLocale(code, pack);
+}
@@ -0,0 +1,356 @@
+/**
+ * @fileoverview Nepal Sambat Calendar for BS Date Library
+ * Implements `NepalSambatDate`, the lunar Nepal Sambat date of a civil day,
+ * converted from `BSDate` and `Date` through the Julian Day Number.
+ *
+ * Nepal Sambat months are amanta lunar months, running from one new moon to
+ * the next. Each is named after the sidereal zodiac sign of the Sun at the new
+ * moon that begins it: the month beginning with the Sun in Tula is कछला
+ * (Kachhalā), the first month of the year, followed by थिंला (Thinlā) and so
+ * on. A month with no sankranti, whose new moons both fall in the same sign,
+ * is the leap month अनला (Analā). The year begins with Kachhalā, in October or
+ * November, and is the AD year of that new moon less 879.
+ *
+ * Days are named by the tithi prevailing at sunrise in Kathmandu (see
+ * `tithi.js`): the paksha, थ्व (Thwa, waxing) or गा (Gā, waning), and the
+ * tithi within it, as in "ने.सं. ११४६ कछला थ्व पारु". Sidereal positions use
+ * the Lahiri ayanamsa.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import julian from "julian";
+import BSDate from "./bs-date.js";
+import {
+  elongationAt,
+  elongationReached,
+  solarLongitudeAt,
+  sunriseOn,
+} from "./tithi.js";
+import { toNepaliDigits } from "./number-utils.js";
+import { defaultTimeZone } from "./config.js";
+
+/**
+ * Mean length of a lunar month (synodic month), in days.
+ *
+ * @constant
+ * @type {number}
+ */
+const LUNAR_MONTH = 29.530589;
+
+/**
+ * Zodiac sign of the Sun (0 = Mesha) at the new moon beginning Kachhalā.
+ *
+ * @constant
+ * @type {number}
+ */
+const KACHHALA_SIGN = 6;
+
+/**
+ * Difference between the AD year in which Kachhalā begins and the Nepal
+ * Sambat year it begins.
+ *
+ * @constant
+ * @type {number}
+ */
+const EPOCH_OFFSET = 879;
+
+/**
+ * Month, paksha and tithi names in Nepal Bhasa, by script.
+ *
+ * @constant
+ * @type {Object.<string, Object>}
+ */
+const SCRIPTS = {
+  devanagari: {
+    era: "ने.सं.",
+    // prettier-ignore
+    months: [
+      "कछला", "थिंला", "पोहेला", "सिल्ला", "चिल्ला", "चौला",
+      "बछला", "तछला", "दिल्ला", "गुंला", "ञला", "कौला",
+    ],
+    leapMonth: "अनला",
+    paksha: { shukla: "थ्व", krishna: "गा" },
+    // prettier-ignore
+    tithis: [
+      "पारु", "द्वितीया", "तृतीया", "चौथी", "पञ्चमी", "खष्टी", "सप्तमी",
+      "अष्टमी", "नवमी", "दशमी", "एकादशी", "द्वादशी", "त्रयोदशी", "चह्रे",
+    ],
+    purnima: "पुन्हि",
+    aunsi: "आमाइ",
+    digits: toNepaliDigits,
+  },
+  roman: {
+    era: "NS",
+    // prettier-ignore
+    months: [
+      "Kachhalā", "Thinlā", "Pohelā", "Sillā", "Chillā", "Chaulā",
+      "Bachhalā", "Tachhalā", "Dillā", "Gunlā", "Yanlā", "Kaulā",
+    ],
+    leapMonth: "Analā",
+    paksha: { shukla: "Thwa", krishna: "Gā" },
+    // prettier-ignore
+    tithis: [
+      "Pāru", "Dwitiyā", "Tritiyā", "Chauthī", "Panchamī", "Khashtī",
+      "Saptamī", "Ashtamī", "Navamī", "Dashamī", "Ekādashī", "Dwādashī",
+      "Trayodashī", "Chahre",
+    ],
+    purnima: "Punhi",
+    aunsi: "Āmāi",
+    digits: String,
+  },
+};
+
+/**
+ * Looks up the names of a script.
+ *
+ * @private
+ * @param {string} script - "devanagari" or "roman"
+ * @returns {Object} The script's names
+ * @throws {RangeError} When the script is not supported
+ */
+function scriptNames(script) {
+  if (!Object.hasOwn(SCRIPTS, script)) {
+    throw new RangeError(
+      `Unsupported script "${script}", expected "devanagari" or "roman"`
+    );
+  }
+  return SCRIPTS[script];
+}
+
+/**
+ * Gets the sidereal zodiac sign of the Sun at an instant.
+ *
+ * @private
+ * @param {number} julianDay - The Julian day
+ * @returns {number} The sign (0 = Mesha, 11 = Meena)
+ */
+function solarSign(julianDay) {
+  // Lahiri ayanamsa, 23.853° at J2000.0 and growing 50.29" a year
+  const ayanamsa = 23.853 + (1.3969 * (julianDay - 2451545)) / 36525;
+  const longitude = solarLongitudeAt(julianDay) - ayanamsa;
+  return Math.floor((((longitude % 360) + 360) % 360) / 30);
+}
+
+/**
+ * Represents a date in the lunar Nepal Sambat calendar. Instances are frozen.
+ *
+ * @class NepalSambatDate
+ * @example
+ * const mhaPuja = NepalSambatDate.fromBS(new BSDate(2082, 7, 6));
+ * mhaPuja.format(); // "ने.सं. ११४६ कछला थ्व पारु"
+ * mhaPuja.format({ script: "roman" }); // "NS 1146 Kachhalā Thwa Pāru"
+ */
+class NepalSambatDate {
+  /**
+   * The civil day this date was converted from.
+   *
+   * @type {BSDate}
+   */
+  #date;
+
+  /**
+   * Creates the Nepal Sambat date of a civil day.
+   *
+   * @param {BSDate} date - The civil day
+   * @throws {TypeError} When the date is not a BSDate
+   * @example
+   * new NepalSambatDate(new BSDate(2082, 5, 25));
+   */
+  constructor(date) {
+    if (!(date instanceof BSDate)) {
+      throw new TypeError("NepalSambatDate must be created from a BSDate");
+    }
+
+    const sunrise = sunriseOn(date.valueOf());
+    const elongation = elongationAt(sunrise);
+    const monthStart = elongationReached(
+      sunrise - (elongation / 360) * LUNAR_MONTH,
+      0
+    );
+    const nextMonthStart = elongationReached(monthStart + LUNAR_MONTH, 0);
+    const sign = solarSign(monthStart);
+    const month = ((sign - KACHHALA_SIGN + 12) % 12) + 1;
+    const tithi = Math.floor(elongation / 12) + 1;
+    // Kachhalā begins in October or November, far enough from the turn of the
+    // AD year for the mean month length to find its year
+    const kachhala = julian.toDate(monthStart - (month - 1) * LUNAR_MONTH);
+
+    this.#date = date;
+
+    /** @type {number} The Nepal Sambat year */
+    this.year = kachhala.getUTCFullYear() - EPOCH_OFFSET;
+
+    /** @type {number} The month (1 = Kachhalā, 12 = Kaulā) */
+    this.month = month;
+
+    /** @type {boolean} Whether this is the leap month Analā preceding `month` */
+    this.leap = solarSign(nextMonthStart) === sign;
+
+    /** @type {string} "shukla" (थ्व, waxing) or "krishna" (गा, waning) */
+    this.paksha = tithi <= 15 ? "shukla" : "krishna";
+
+    /** @type {number} The tithi within the paksha (1-15) */
+    this.day = tithi <= 15 ? tithi : tithi - 15;
+
+    Object.freeze(this);
+  }
+
+  /**
+   * Creates the Nepal Sambat date of a BS date.
+   *
+   * @static
+   * @param {BSDate} date - The BS date
+   * @returns {NepalSambatDate} The Nepal Sambat date
+   * @throws {TypeError} When the date is not a BSDate
+   * @example
+   * NepalSambatDate.fromBS(new BSDate(2082, 4, 25)).format({ script: "roman" }); // "NS 1145 Gunlā Thwa Punhi"
+   */
+  static fromBS(date) {
+    return new NepalSambatDate(date);
+  }
+
+  /**
+   * Creates the Nepal Sambat date of the civil day containing an AD instant.
+   *
+   * @static
+   * @param {Date} adDate - The AD date
+   * @param {Object} [options={}] - Conversion options
+   * @param {string} [options.timeZone="Asia/Kathmandu"] - IANA time zone used to read the calendar day
+   * @returns {NepalSambatDate} The Nepal Sambat date
+   * @throws {DateOutOfRangeError} When the date is invalid or out of range
+   * @example
+   * NepalSambatDate.fromAD(new Date("2025-10-22T06:00:00Z")).format(); // "ने.सं. ११४६ कछला थ्व पारु"
+   */
+  static fromAD(adDate, { timeZone = defaultTimeZone } = {}) {
+    return new NepalSambatDate(BSDate.fromAD(adDate, { timeZone }));
+  }
+
+  /**
+   * Gets the BS date of this day.
+   *
+   * @returns {BSDate} The BS date
+   */
+  toBSDate() {
+    return this.#date;
+  }
+
+  /**
+   * Converts to the instant at which this day starts, as `BSDate#toAD()`.
+   *
+   * @param {Object} [options={}] - Conversion options, as for `BSDate#toAD()`
+   * @returns {Date} The equivalent AD date
+   */
+  toAD(options) {
+    return this.#date.toAD(options);
+  }
+
+  /**
+   * Gets the month name, अनला (Analā) for a leap month.
+   *
+   * @param {Object} [options={}] - Naming options
+   * @param {string} [options.script="devanagari"] - "devanagari" or "roman"
+   * @returns {string} The month name
+   * @throws {RangeError} When the script is not supported
+   * @example
+   * NepalSambatDate.fromBS(new BSDate(2082, 7, 6)).monthName({ script: "roman" }); // "Kachhalā"
+   */
+  monthName({ script = "devanagari" } = {}) {
+    const names = scriptNames(script);
+    return this.leap ? names.leapMonth : names.months[this.month - 1];
+  }
+
+  /**
+   * Gets the paksha name, थ्व (Thwa) or गा (Gā).
+   *
+   * @param {Object} [options={}] - Naming options
+   * @param {string} [options.script="devanagari"] - "devanagari" or "roman"
+   * @returns {string} The paksha name
+   * @throws {RangeError} When the script is not supported
+   */
+  pakshaName({ script = "devanagari" } = {}) {
+    return scriptNames(script).paksha[this.paksha];
+  }
+
+  /**
+   * Gets the tithi name, from पारु (Pāru) to पुन्हि (Punhi) or आमाइ (Āmāi).
+   *
+   * @param {Object} [options={}] - Naming options
+   * @param {string} [options.script="devanagari"] - "devanagari" or "roman"
+   * @returns {string} The tithi name
+   * @throws {RangeError} When the script is not supported
+   */
+  tithiName({ script = "devanagari" } = {}) {
+    const names = scriptNames(script);
+    if (this.day < 15) {
+      return names.tithis[this.day - 1];
+    }
+    return this.paksha === "shukla" ? names.purnima : names.aunsi;
+  }
+
+  /**
+   * Formats the date as era, year, month, paksha and tithi.
+   *
+   * @param {Object} [options={}] - Formatting options
+   * @param {string} [options.script="devanagari"] - "devanagari" or "roman"
+   * @returns {string} The formatted date
+   * @throws {RangeError} When the script is not supported
+   * @example
+   * const date = NepalSambatDate.fromBS(new BSDate(2082, 5, 22));
+   * date.format(); // "ने.सं. ११४५ ञला थ्व पुन्हि"
+   * date.format({ script: "roman" }); // "NS 1145 Yanlā Thwa Punhi"
+   */
+  format({ script = "devanagari" } = {}) {
+    const names = scriptNames(script);
+    return [
+      names.era,
+      names.digits(this.year),
+      this.monthName({ script }),
+      this.pakshaName({ script }),
+      this.tithiName({ script }),
+    ].join(" ");
+  }
+
+  /**
+   * Checks whether another Nepal Sambat date falls on the same civil day.
+   *
+   * @param {NepalSambatDate} other - The date to compare with
+   * @returns {boolean} True if both are the same day
+   */
+  equals(other) {
+    return (
+      other instanceof NepalSambatDate && this.#date.equals(other.toBSDate())
+    );
+  }
+
+  /**
+   * Returns the romanized representation of the date.
+   *
+   * @returns {string} The date, e.g. "NS 1146 Kachhalā Thwa Pāru"
+   */
+  toString() {
+    return this.format({ script: "roman" });
+  }
+
+  /**
+   * Returns the JSON representation of the date, used by `JSON.stringify()`.
+   *
+   * @returns {string} The romanized date
+   */
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * @module NepalSambatDate
+ * @description Dates in the lunar Nepal Sambat calendar
+ */
+export default NepalSambatDate;
+
+/**
+ * Named export for convenience
+ */
+export { NepalSambatDate };
@@ -1,55 +1,171 @@
 /**
  * @fileoverview Number Utilities for BS Date Library
- * Extends the native Number prototype with Nepali numeral conversion functionality.
- * Provides methods to convert Arabic numerals (0-9) to Devanagari numerals (०-९).
+ * Provides side-effect-free conversion between Arabic numerals (0-9) and
+ * Devanagari numerals (०-९), including signs, decimals, exponent notation and
+ * Nepali (lakh/crore) digit grouping. The `Number.prototype.toNepali()`
+ * extension is available as an explicit opt-in through `register.js`.
  *
  * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
  * @version 1.0.0
  * @license MIT
  */
 
+/**
+ * Mapping of Arabic digits to Devanagari (Nepali) digits.
+ * @constant
+ * @type {Object.<string, string>}
+ */
+const NEPALI_DIGITS = {
+  0: "०", // U+0966 DEVANAGARI DIGIT ZERO
+  1: "१", // U+0967 DEVANAGARI DIGIT ONE
+  2: "२", // U+0968 DEVANAGARI DIGIT TWO
+  3: "३", // U+0969 DEVANAGARI DIGIT THREE
+  4: "४", // U+096A DEVANAGARI DIGIT FOUR
+  5: "५", // U+096B DEVANAGARI DIGIT FIVE
+  6: "६", // U+096C DEVANAGARI DIGIT SIX
+  7: "७", // U+096D DEVANAGARI DIGIT SEVEN
+  8: "८", // U+096E DEVANAGARI DIGIT EIGHT
+  9: "९", // U+096F DEVANAGARI DIGIT NINE
+};
+
+/**
+ * Matches a decimal number in Arabic digits: an optional sign, an integer
+ * and/or fractional part and an optional exponent.
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const NUMBER_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i;
+
+/**
+ * Replaces Devanagari digits with Arabic digits, leaving other characters as they are.
+ *
+ * @private
+ * @param {string} text - The text to convert
+ * @returns {string} The text with Arabic digits
+ */
+function toArabicDigits(text) {
+  return text.replace(/[०-९]/g, (digit) =>
+    String(digit.charCodeAt(0) - 0x0966)
+  );
+}
+
+/**
+ * Normalizes a number, bigint or numeric string to plain decimal notation in
+ * Arabic digits, expanding any exponent. Strings keep their digits as written,
+ * including trailing zeros, but lose grouping commas.
+ *
+ * @private
+ * @param {number|bigint|string} value - The value to normalize
+ * @returns {string} The value in plain decimal notation
+ * @throws {TypeError} When the value is not a number, bigint or numeric string
+ * @throws {RangeError} When the value is NaN or infinite
+ */
+function toPlainDecimal(value) {
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    throw new RangeError(`${value} cannot be written in Nepali digits`);
+  }
+  if (!["number", "bigint", "string"].includes(typeof value)) {
+    throw new TypeError(`${String(value)} is not a number`);
+  }
+
+  const text = toArabicDigits(String(value).trim()).replace(/,/g, "");
+  const match = NUMBER_PATTERN.exec(text);
+  const [, sign, integer, fraction = "", exponent] = match ?? [];
+  if (!match || (integer === "" && fraction === "")) {
+    throw new TypeError(`"${value}" is not a number`);
+  }
+  if (exponent === undefined) {
+    return text;
+  }
+
+  // Move the decimal point by the exponent, padding with zeros as needed
+  const digits = integer + fraction;
+  const point = integer.length + Number(exponent);
+  let plain;
+  if (point <= 0) {
+    plain = `0.${"0".repeat(-point)}${digits}`;
+  } else if (point >= digits.length) {
+    plain = digits + "0".repeat(point - digits.length);
+  } else {
+    plain = `${digits.slice(0, point)}.${digits.slice(point)}`;
+  }
+  return sign + plain.replace(/^0+(?=\d)/, "");
+}
+
+/**
+ * Groups the digits of an integer the Nepali way: the last three digits,
+ * then groups of two (lakh, crore, ...).
+ *
+ * @private
+ * @param {string} integer - The integer digits
+ * @returns {string} The grouped digits
+ * @example
+ * groupDigits("1234567"); // "12,34,567"
+ */
+function groupDigits(integer) {
+  if (integer.length <= 3) {
+    return integer;
+  }
+  const head = integer.slice(0, -3).replace(/\B(?=(\d{2})+$)/g, ",");
+  return `${head},${integer.slice(-3)}`;
+}
+
 /**
  * Converts a number to its Nepali (Devanagari) numeral representation.
- * Each Arabic digit (0-9) is mapped to its corresponding Devanagari digit (०-९).
+ * Each Arabic digit (0-9) is mapped to its corresponding Devanagari digit (०-९);
+ * signs and the decimal point are kept, and exponent notation is expanded.
+ * Numeric strings are converted digit by digit, so trailing zeros are kept.
  *
- * @memberof Number.prototype
+ * @param {number|bigint|string} number - The number to convert
+ * @param {Object} [options={}] - Conversion options
+ * @param {boolean} [options.grouping=false] - If true, groups the integer digits
+ * into thousands, lakhs and crores ("१२,३४,५६७")
  * @returns {string} The number converted to Nepali numerals
+ * @throws {TypeError} When the value is not a number, bigint or numeric string
+ * @throws {RangeError} When the value is NaN or infinite
  * @example
  * // Basic usage
- * (123).toNepali(); // "१२३"
- * (2082).toNepali(); // "२०८२"
- * (0).toNepali(); // "०"
+ * toNepaliDigits(123); // "१२३"
+ * toNepaliDigits(2082); // "२०८२"
+ * toNepaliDigits(0); // "०"
  *
  * @example
- * // Usage in BS Date formatting
- * const year = 2082;
- * const month = 5;
- * const day = 25;
- * console.log(`${year.toNepali()}/${month.toNepali()}/${day.toNepali()}`); // "२०८२/५/२५"
- */
-Number.prototype.toNepali = function () {
-  /**
-   * Mapping of Arabic digits to Devanagari (Nepali) digits.
-   * @constant
-   * @type {Object.<string, string>}
-   */
-  const NEPALI_DIGITS = {
-    0: "०", // U+0966 DEVANAGARI DIGIT ZERO
-    1: "१", // U+0967 DEVANAGARI DIGIT ONE
-    2: "२", // U+0968 DEVANAGARI DIGIT TWO
-    3: "३", // U+0969 DEVANAGARI DIGIT THREE
-    4: "४", // U+096A DEVANAGARI DIGIT FOUR
-    5: "५", // U+096B DEVANAGARI DIGIT FIVE
-    6: "६", // U+096C DEVANAGARI DIGIT SIX
-    7: "७", // U+096D DEVANAGARI DIGIT SEVEN
-    8: "८", // U+096E DEVANAGARI DIGIT EIGHT
-    9: "९", // U+096F DEVANAGARI DIGIT NINE
-  };
-
-  // Convert number to string, split into individual digits,
-  // map each digit to its Nepali equivalent, and join back
-  return this.toString()
-    .split("")
-    .map((digit) => NEPALI_DIGITS[digit])
-    .join("");
-};
+ * // Signs, decimals, exponents and strings
+ * toNepaliDigits(-5); // "-५"
+ * toNepaliDigits(1.5); // "१.५"
+ * toNepaliDigits(1e21); // "१०००००००००००००००००००००"
+ * toNepaliDigits("1250.50"); // "१२५०.५०"
+ *
+ * @example
+ * // Lakh/crore grouping for amounts
+ * toNepaliDigits(1234567, { grouping: true }); // "१२,३४,५६७"
+ * toNepaliDigits(12345678.9, { grouping: true }); // "१,२३,४५,६७८.९"
+ */
+export function toNepaliDigits(number, { grouping = false } = {}) {
+  let text = toPlainDecimal(number);
+  if (grouping) {
+    text = text.replace(/\d+/, groupDigits);
+  }
+  return text.replace(/\d/g, (digit) => NEPALI_DIGITS[digit]);
+}
+
+/**
+ * Converts a numeral in Devanagari (or Arabic, or mixed) digits to a number.
+ * Accepts a sign, a decimal point, exponent notation and grouping commas.
+ *
+ * @param {string} text - The numeral to convert
+ * @returns {number} The parsed number
+ * @throws {TypeError} When the text is not a numeral
+ * @example
+ * fromNepaliDigits("२०८२"); // 2082
+ * fromNepaliDigits("-१.५"); // -1.5
+ * fromNepaliDigits("१२,३४,५६७"); // 1234567
+ * fromNepaliDigits("१.५e३"); // 1500
+ */
+export function fromNepaliDigits(text) {
+  if (typeof text !== "string") {
+    throw new TypeError(`${String(text)} is not a string`);
+  }
+  return Number(toPlainDecimal(text));
+}
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Number Words for BS Date Library
+ * Spells out integers in Nepali, as required on cheques and legal documents,
+ * in Devanagari ("दुई हजार बयासी") or romanized ("dui hajar bayasi") script.
+ *
+ * Nepali has an irregular word for every number from 0 to 99, so those come
+ * from tables. Larger numbers are built from सय (hundred), हजार (thousand),
+ * लाख (hundred thousand), करोड (ten million) and अर्ब (billion), following the
+ * Nepali 3-2-2 digit grouping.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import { fromNepaliDigits } from "./number-utils.js";
+
+/**
+ * Words for 0-99 in Devanagari script.
+ *
+ * @constant
+ * @type {Array<string>}
+ */
+// prettier-ignore
+const DEVANAGARI_WORDS = [
+  "शून्य", "एक", "दुई", "तीन", "चार", "पाँच", "छ", "सात", "आठ", "नौ",
+  "दश", "एघार", "बाह्र", "तेह्र", "चौध", "पन्ध्र", "सोह्र", "सत्र", "अठार", "उन्नाइस",
+  "बीस", "एक्काइस", "बाइस", "तेइस", "चौबीस", "पच्चीस", "छब्बीस", "सत्ताइस", "अट्ठाइस", "उनन्तीस",
+  "तीस", "एकतीस", "बत्तीस", "तेत्तीस", "चौंतीस", "पैंतीस", "छत्तीस", "सैंतीस", "अठतीस", "उनन्चालीस",
+  "चालीस", "एकचालीस", "बयालीस", "त्रिचालीस", "चवालीस", "पैंतालीस", "छयालीस", "सतचालीस", "अठचालीस", "उनन्चास",
+  "पचास", "एकाउन्न", "बाउन्न", "त्रिपन्न", "चवन्न", "पचपन्न", "छपन्न", "सन्ताउन्न", "अन्ठाउन्न", "उनन्साठी",
+  "साठी", "एकसट्ठी", "बयसट्ठी", "त्रिसट्ठी", "चौंसट्ठी", "पैंसट्ठी", "छयसट्ठी", "सतसट्ठी", "अठसट्ठी", "उनन्सत्तरी",
+  "सत्तरी", "एकहत्तर", "बहत्तर", "त्रिहत्तर", "चौहत्तर", "पचहत्तर", "छयहत्तर", "सतहत्तर", "अठहत्तर", "उनासी",
+  "असी", "एकासी", "बयासी", "त्रियासी", "चौरासी", "पचासी", "छयासी", "सतासी", "अठासी", "उनान्नब्बे",
+  "नब्बे", "एकान्नब्बे", "बयानब्बे", "त्रियानब्बे", "चौरानब्बे", "पन्चानब्बे", "छयानब्बे", "सन्तानब्बे", "अन्ठानब्बे", "उनान्सय",
+];
+
+/**
+ * Words for 0-99 in romanized script, in the same order as `DEVANAGARI_WORDS`.
+ *
+ * @constant
+ * @type {Array<string>}
+ */
+// prettier-ignore
+const ROMAN_WORDS = [
+  "shunya", "ek", "dui", "tin", "char", "panch", "chha", "saat", "aath", "nau",
+  "das", "eghara", "bahra", "tehra", "chaudha", "pandhra", "sohra", "satra", "athara", "unnais",
+  "bis", "ekkais", "bais", "teis", "chaubis", "pachchis", "chhabbis", "sattais", "atthais", "unantis",
+  "tis", "ektis", "battis", "tettis", "chauntis", "paintis", "chhattis", "saintis", "athtis", "unanchalis",
+  "chalis", "ekchalis", "bayalis", "trichalis", "chawalis", "paintalis", "chhayalis", "satchalis", "athchalis", "unanchas",
+  "pachas", "ekaunna", "baunna", "tripanna", "chauwanna", "pachpanna", "chhapanna", "santaunna", "anthaunna", "unansaathi",
+  "saathi", "eksatthi", "bayasatthi", "trisatthi", "chaunsatthi", "painsatthi", "chhayasatthi", "satsatthi", "athsatthi", "unansattari",
+  "sattari", "ekhattar", "bahattar", "trihattar", "chauhattar", "pachahattar", "chhayahattar", "sathattar", "athahattar", "unasi",
+  "asi", "ekasi", "bayasi", "triyasi", "chaurasi", "pachasi", "chhayasi", "satasi", "athasi", "unanabbe",
+  "nabbe", "ekanabbe", "bayanabbe", "triyanabbe", "chauranabbe", "panchanabbe", "chhayanabbe", "santanabbe", "anthanabbe", "unansaya",
+];
+
+/**
+ * Number words and scale words for each script.
+ *
+ * @constant
+ * @type {Object.<string, {words: Array<string>, minus: string, scales: Array<[bigint, string]>}>}
+ */
+const SCRIPTS = {
+  devanagari: {
+    words: DEVANAGARI_WORDS,
+    minus: "ऋण",
+    scales: [
+      [1000000000n, "अर्ब"],
+      [10000000n, "करोड"],
+      [100000n, "लाख"],
+      [1000n, "हजार"],
+      [100n, "सय"],
+    ],
+  },
+  roman: {
+    words: ROMAN_WORDS,
+    minus: "rin",
+    scales: [
+      [1000000000n, "arab"],
+      [10000000n, "karod"],
+      [100000n, "lakh"],
+      [1000n, "hajar"],
+      [100n, "saya"],
+    ],
+  },
+};
+
+/**
+ * Looks up the words of a script.
+ *
+ * @private
+ * @param {string} script - "devanagari" or "roman"
+ * @returns {{words: Array<string>, minus: string, scales: Array<[bigint, string]>}} The script's words
+ * @throws {RangeError} When the script is not supported
+ */
+function scriptWords(script) {
+  if (!Object.hasOwn(SCRIPTS, script)) {
+    throw new RangeError(
+      `Unsupported script "${script}", expected "devanagari" or "roman"`
+    );
+  }
+  return SCRIPTS[script];
+}
+
+/**
+ * Spells out a non-negative integer.
+ *
+ * @private
+ * @param {bigint} number - The integer to spell out
+ * @param {{words: Array<string>, scales: Array<[bigint, string]>}} script - The script's words
+ * @returns {Array<string>} The words
+ */
+function spell(number, { words, scales }) {
+  if (number < 100n) {
+    return [words[Number(number)]];
+  }
+
+  const parts = [];
+  let rest = number;
+  for (const [value, name] of scales) {
+    if (rest >= value) {
+      // Counts of अर्ब are not limited to 99, so they are spelled recursively
+      parts.push(...spell(rest / value, { words, scales }), name);
+      rest %= value;
+    }
+  }
+  if (rest > 0n) {
+    parts.push(words[Number(rest)]);
+  }
+  return parts;
+}
+
+/**
+ * Spells out an integer in Nepali words.
+ *
+ * @param {number|bigint|string} number - The integer to spell out; strings may use
+ * Devanagari or Arabic digits
+ * @param {Object} [options={}] - Spelling options
+ * @param {string} [options.script="devanagari"] - "devanagari" or "roman"
+ * @returns {string} The number in words
+ * @throws {RangeError} When the number is not a safe integer or the script is not supported
+ * @throws {TypeError} When a string is not a numeral
+ * @example
+ * toNepaliWords(2082); // "दुई हजार बयासी"
+ * toNepaliWords(25, { script: "roman" }); // "pachchis"
+ * toNepaliWords(12345678); // "एक करोड तेइस लाख पैंतालीस हजार छ सय अठहत्तर"
+ * toNepaliWords("२५"); // "पच्चीस"
+ */
+export function toNepaliWords(number, { script = "devanagari" } = {}) {
+  const words = scriptWords(script);
+  const value = typeof number === "string" ? fromNepaliDigits(number) : number;
+  if (typeof value !== "bigint" && !Number.isSafeInteger(value)) {
+    throw new RangeError(`${String(number)} is not a safe integer`);
+  }
+
+  const integer = BigInt(value);
+  const spelled = spell(integer < 0n ? -integer : integer, words);
+  return (integer < 0n ? [words.minus, ...spelled] : spelled).join(" ");
+}
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Native Prototype Extensions for BS Date Library
+ * Opt-in entry point that installs `Number.prototype.toNepali()` and
+ * `Date.prototype.toBS()`. Nothing else in the library touches native
+ * prototypes; import this module once, explicitly, to enable them.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ *
+ * @example
+ * import "bs-date/register";
+ *
+ * (2082).toNepali(); // "२०८२"
+ * new Date("2025-09-10").toBS(); // BSDate { year: 2082, month: 5, day: 25 }
+ */
+
+import { toNepaliDigits } from "./number-utils.js";
+import { adToBS } from "./date-utils.js";
+
+/**
+ * Converts a number to its Nepali (Devanagari) numeral representation.
+ *
+ * @memberof Number.prototype
+ * @param {Object} [options={}] - Conversion options
+ * @param {boolean} [options.grouping=false] - If true, groups digits into thousands, lakhs and crores
+ * @returns {string} The number converted to Nepali numerals
+ * @throws {RangeError} When the number is NaN or infinite
+ * @example
+ * (123).toNepali(); // "१२३"
+ * (-1.5).toNepali(); // "-१.५"
+ * (1234567).toNepali({ grouping: true }); // "१२,३४,५६७"
+ */
+Number.prototype.toNepali = function (options) {
+  return toNepaliDigits(this.valueOf(), options);
+};
+
+/**
+ * Converts an Anno Domini Date to a Bikram Sambat date.
+ *
+ * @memberof Date.prototype
+ * @param {Object} [options={}] - Conversion options
+ * @param {string} [options.timeZone="Asia/Kathmandu"] - IANA time zone used to read the calendar day
+ * @returns {BSDate} A new BSDate instance representing the equivalent BS date
+ * @throws {DateOutOfRangeError} When the date is outside the range of the loaded calendar data
+ * @example
+ * new Date('2025-09-10').toBS(); // BSDate { year: 2082, month: 5, day: 25 }
+ */
+Date.prototype.toBS = function (options) {
+  return adToBS(this, options);
+};
@@ -0,0 +1,281 @@
+/**
+ * @fileoverview Relative Time Formatting for BS Date Library
+ * Expresses the distance between two dates or instants in Nepali
+ * ("३ दिन अघि", "भोलि", "अर्को महिना") or romanized ("3 din aghi", "bholi")
+ * words.
+ *
+ * Seconds, minutes and hours are measured on the time line; days, weeks,
+ * months and years are counted in BS calendar days and months, so "अर्को
+ * महिना" means the next BS month rather than the next 30 days. When either
+ * side is a plain `BSDate`, both sides are compared as calendar days.
+ *
+ * The largest unit below its threshold is used, like `moment.js`:
+ * 45 seconds, 45 minutes, 22 hours, 26 days, 4 weeks and 11 months by default.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+import BSDate from "./bs-date.js";
+import { BSDateTime } from "./bs-date-time.js";
+import { toNepaliDigits } from "./number-utils.js";
+import { defaultTimeZone } from "./config.js";
+
+/**
+ * Supported units, from smallest to largest.
+ *
+ * @constant
+ * @type {Array<string>}
+ */
+const UNITS = ["second", "minute", "hour", "day", "week", "month", "year"];
+
+/**
+ * Units measured on the time line, which need a time of day on both sides.
+ *
+ * @constant
+ * @type {Array<string>}
+ */
+const TIME_UNITS = ["second", "minute", "hour"];
+
+/**
+ * Units used when none are given. Weeks are left out, so 8-25 days read as days.
+ *
+ * @constant
+ * @type {Array<string>}
+ */
+const DEFAULT_UNITS = ["second", "minute", "hour", "day", "month", "year"];
+
+/**
+ * Default thresholds: a unit is used while the distance in that unit stays below its threshold.
+ *
+ * @constant
+ * @type {Object.<string, number>}
+ */
+const DEFAULT_THRESHOLDS = {
+  second: 45,
+  minute: 45,
+  hour: 22,
+  day: 26,
+  week: 4,
+  month: 11,
+};
+
+/**
+ * Milliseconds per time-line unit.
+ *
+ * @constant
+ * @type {Object.<string, number>}
+ */
+const UNIT_MILLISECONDS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+};
+
+/**
+ * Words for each script: unit names, past/future markers and the named
+ * distances used with `numeric: "auto"`.
+ *
+ * @constant
+ * @type {Object.<string, {units: Object.<string, string>, past: string, future: string, named: Object.<string, Object.<number, string>>}>}
+ */
+const SCRIPTS = {
+  devanagari: {
+    units: {
+      second: "सेकेन्ड",
+      minute: "मिनेट",
+      hour: "घण्टा",
+      day: "दिन",
+      week: "हप्ता",
+      month: "महिना",
+      year: "वर्ष",
+    },
+    past: "अघि",
+    future: "पछि",
+    named: {
+      second: { 0: "अहिले" },
+      day: { "-2": "अस्ति", "-1": "हिजो", 0: "आज", 1: "भोलि", 2: "पर्सि" },
+      week: { "-1": "गएको हप्ता", 0: "यो हप्ता", 1: "अर्को हप्ता" },
+      month: { "-1": "गएको महिना", 0: "यो महिना", 1: "अर्को महिना" },
+      year: { "-1": "गएको वर्ष", 0: "यो वर्ष", 1: "अर्को वर्ष" },
+    },
+  },
+  roman: {
+    units: {
+      second: "second",
+      minute: "minet",
+      hour: "ghanta",
+      day: "din",
+      week: "hapta",
+      month: "mahina",
+      year: "barsa",
+    },
+    past: "aghi",
+    future: "pachhi",
+    named: {
+      second: { 0: "ahile" },
+      day: { "-2": "asti", "-1": "hijo", 0: "aaja", 1: "bholi", 2: "parsi" },
+      week: { "-1": "gaeko hapta", 0: "yo hapta", 1: "arko hapta" },
+      month: { "-1": "gaeko mahina", 0: "yo mahina", 1: "arko mahina" },
+      year: { "-1": "gaeko barsa", 0: "yo barsa", 1: "arko barsa" },
+    },
+  },
+};
+
+/**
+ * Converts an input to a BSDate (for calendar-day comparison) or a BSDateTime.
+ *
+ * @private
+ * @param {BSDate|BSDateTime|Date} value - The value to convert
+ * @param {boolean} dateOnly - If true, converts to a BSDate
+ * @param {string} timeZone - IANA time zone used to read AD instants
+ * @returns {BSDate|BSDateTime} The converted value
+ * @throws {TypeError} When the value is not a BSDate, BSDateTime or Date
+ */
+function normalize(value, dateOnly, timeZone) {
+  if (value instanceof Date) {
+    return dateOnly
+      ? BSDate.fromAD(value, { timeZone })
+      : BSDateTime.fromAD(value, { timeZone });
+  }
+  if (value instanceof BSDateTime) {
+    return dateOnly ? value.toBSDate() : value;
+  }
+  if (value instanceof BSDate) {
+    return value;
+  }
+  throw new TypeError(`${String(value)} is not a BSDate, BSDateTime or Date`);
+}
+
+/**
+ * Formats the distance from a base date to a target date in words.
+ *
+ * @param {BSDate|BSDateTime|Date} target - The date being described
+ * @param {Object} [options={}] - Formatting options
+ * @param {BSDate|BSDateTime|Date} [options.base=new Date()] - The date to measure from
+ * @param {string} [options.script="devanagari"] - "devanagari" or "roman"
+ * @param {string} [options.numeric="auto"] - "auto" uses words like "भोलि" and "अर्को महिना"
+ * where they exist; "always" always uses numbers ("१ दिन पछि")
+ * @param {Array<string>} [options.units] - Units to choose from, any of "second", "minute",
+ * "hour", "day", "week", "month" and "year" (weeks are left out by default)
+ * @param {Object.<string, number>} [options.thresholds] - Overrides of the default thresholds,
+ * keyed by unit
+ * @param {string} [options.timeZone="Asia/Kathmandu"] - IANA time zone used to read AD instants
+ * @returns {string} The relative time
+ * @throws {RangeError} When an option value is not supported
+ * @throws {TypeError} When a date is not a BSDate, BSDateTime or Date
+ * @example
+ * const base = new BSDate(2082, 5, 25);
+ * formatRelativeTime(new BSDate(2082, 5, 22), { base }); // "३ दिन अघि"
+ * formatRelativeTime(new BSDate(2082, 5, 26), { base }); // "भोलि"
+ * formatRelativeTime(new BSDate(2082, 6, 25), { base }); // "अर्को महिना"
+ * formatRelativeTime(new BSDate(2082, 5, 22), { base, script: "roman" }); // "3 din aghi"
+ * formatRelativeTime(new Date(Date.now() - 5 * 60 * 1000)); // "५ मिनेट अघि"
+ */
+export function formatRelativeTime(
+  target,
+  {
+    base = new Date(),
+    script = "devanagari",
+    numeric = "auto",
+    units = DEFAULT_UNITS,
+    thresholds = {},
+    timeZone = defaultTimeZone,
+  } = {}
+) {
+  if (!Object.hasOwn(SCRIPTS, script)) {
+    throw new RangeError(
+      `Unsupported script "${script}", expected "devanagari" or "roman"`
+    );
+  }
+  if (!["auto", "always"].includes(numeric)) {
+    throw new RangeError(
+      `Unsupported numeric option "${numeric}", expected "auto" or "always"`
+    );
+  }
+  const unknown = units.find((unit) => !UNITS.includes(unit));
+  if (unknown !== undefined) {
+    throw new RangeError(
+      `Unsupported unit "${unknown}", expected one of ${UNITS.join(", ")}`
+    );
+  }
+
+  const dateOnly = [target, base].some((value) => value instanceof BSDate);
+  const available = UNITS.filter(
+    (unit) => units.includes(unit) && !(dateOnly && TIME_UNITS.includes(unit))
+  );
+  if (available.length === 0) {
+    throw new RangeError(
+      "No units to choose from: dates without a time of day need a day or larger unit"
+    );
+  }
+
+  const to = normalize(target, dateOnly, timeZone);
+  const from = normalize(base, dateOnly, timeZone);
+  const [toDate, fromDate] = dateOnly
+    ? [to, from]
+    : [to.toBSDate(), from.toBSDate()];
+  const milliseconds = dateOnly
+    ? 0
+    : to.toAD({ timeZone }).getTime() - from.toAD({ timeZone }).getTime();
+  const days = toDate.diff(fromDate);
+
+  const distance = (unit) => {
+    switch (unit) {
+      case "second":
+      case "minute":
+      case "hour":
+        return Math.round(milliseconds / UNIT_MILLISECONDS[unit]) || 0;
+      case "day":
+        return days;
+      case "week":
+        return Math.trunc(days / 7) || 0;
+      case "month":
+        return toDate.diff(fromDate, "months");
+      case "year":
+        return toDate.diff(fromDate, "years");
+    }
+  };
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+
+  let previous = 0;
+  let unit;
+  let value;
+  for (const [index, candidate] of available.entries()) {
+    unit = candidate;
+    value = distance(candidate);
+    if (index === available.length - 1 || Math.abs(value) < limits[unit]) {
+      break;
+    }
+    previous = value;
+  }
+  // A smaller unit passed its threshold, so round up to one of this unit
+  if (value === 0 && previous !== 0) {
+    value = Math.sign(previous);
+  }
+
+  // Named weeks, months and years are calendar weeks (from Sunday), months
+  // and years, so use them only when the count agrees: Bhadra 31 is
+  // "१ महिना पछि" from Bhadra 1
+  const weekStart = (date) => date.valueOf() - date.dayOfWeek();
+  const calendarDistance = {
+    week: (weekStart(toDate) - weekStart(fromDate)) / 7,
+    month: (toDate.year - fromDate.year) * 12 + toDate.month - fromDate.month,
+    year: toDate.year - fromDate.year,
+  };
+  const words = SCRIPTS[script];
+  const named =
+    Object.hasOwn(calendarDistance, unit) && calendarDistance[unit] !== value
+      ? undefined
+      : words.named[unit]?.[value];
+  if (numeric === "auto" && named !== undefined) {
+    return named;
+  }
+  const count =
+    script === "devanagari" ? toNepaliDigits(Math.abs(value)) : Math.abs(value);
+  // A count of zero, as for one day into the next week, takes the direction
+  // of the days between
+  const past = (value || days || milliseconds) < 0;
+  return `${count} ${words.units[unit]} ${past ? words.past : words.future}`;
+}
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Time Zone Utilities for BS Date Library
+ * Resolves the wall-clock date and time of an instant in an IANA time zone, and
+ * the instant of a wall-clock time, using the built-in `Intl` API. Historical
+ * offsets (e.g., Nepal's move from UTC+05:30 to UTC+05:45 in 1986) come from
+ * the runtime's time zone database.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * Cache of `Intl.DateTimeFormat` instances keyed by time zone, since creating
+ * a formatter is far more expensive than using one.
+ *
+ * @type {Map<string, Intl.DateTimeFormat>}
+ */
+const formatters = new Map();
+
+/**
+ * Returns a cached formatter producing numeric wall-clock parts for a time zone.
+ *
+ * @private
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} The formatter
+ * @throws {RangeError} When the time zone is not supported by the runtime
+ */
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Gets the wall-clock date and time of an instant in a time zone.
+ *
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone name (e.g., "Asia/Kathmandu")
+ * @returns {{year: number, month: number, day: number, hours: number, minutes: number, seconds: number, milliseconds: number}}
+ * The wall-clock components, with `month` from 1 to 12
+ * @throws {RangeError} When the time zone is not supported by the runtime
+ * @example
+ * zonedParts(new Date("2025-09-09T18:15:00Z"), "Asia/Kathmandu");
+ * // { year: 2025, month: 9, day: 10, hours: 0, minutes: 0, seconds: 0, milliseconds: 0 }
+ */
+export function zonedParts(date, timeZone) {
+  if (timeZone === "UTC") {
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hours: date.getUTCHours(),
+      minutes: date.getUTCMinutes(),
+      seconds: date.getUTCSeconds(),
+      milliseconds: date.getUTCMilliseconds(),
+    };
+  }
+
+  const parts = Object.fromEntries(
+    formatterFor(timeZone)
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hours: parts.hour,
+    minutes: parts.minute,
+    seconds: parts.second,
+    milliseconds: date.getUTCMilliseconds(),
+  };
+}
+
+/**
+ * Gets the offset of a time zone from UTC at a given instant.
+ *
+ * @param {Date} date - The instant
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} The offset in milliseconds (positive east of Greenwich)
+ * @example
+ * timeZoneOffset(new Date("2025-09-10"), "Asia/Kathmandu"); // 20700000 (5h 45m)
+ */
+export function timeZoneOffset(date, timeZone) {
+  const { year, month, day, hours, minutes, seconds, milliseconds } =
+    zonedParts(date, timeZone);
+  return (
+    Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds) -
+    date.getTime()
+  );
+}
+
+/**
+ * Gets the instant at which a wall-clock date and time occurs in a time zone.
+ *
+ * @param {Object} parts - The wall-clock components
+ * @param {number} parts.year - Year
+ * @param {number} parts.month - Month (1-12)
+ * @param {number} parts.day - Day of the month
+ * @param {number} [parts.hours=0] - Hours (0-23)
+ * @param {number} [parts.minutes=0] - Minutes
+ * @param {number} [parts.seconds=0] - Seconds
+ * @param {number} [parts.milliseconds=0] - Milliseconds
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Date} The instant
+ * @throws {RangeError} When the time zone is not supported by the runtime
+ * @example
+ * zonedTimeToDate({ year: 2025, month: 9, day: 10 }, "Asia/Kathmandu"); // 2025-09-09T18:15:00.000Z
+ */
+export function zonedTimeToDate(
+  { year, month, day, hours = 0, minutes = 0, seconds = 0, milliseconds = 0 },
+  timeZone
+) {
+  const wallClock = Date.UTC(
+    year,
+    month - 1,
+    day,
+    hours,
+    minutes,
+    seconds,
+    milliseconds
+  );
+
+  if (timeZone === "UTC") {
+    return new Date(wallClock);
+  }
+
+  // Guess with the offset at the wall-clock time read as UTC, then correct it
+  // with the offset at the guessed instant in case a transition lies between.
+  const guess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - timeZoneOffset(new Date(guess), timeZone));
+}
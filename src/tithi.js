@@ -0,0 +1,333 @@
+/**
+ * @fileoverview Lunar Day (Tithi) Calculation for BS Date Library
+ * Computes the tithi and paksha of a BS date offline from the elongation of
+ * the Moon from the Sun. A tithi is each 12° step of the elongation: tithis
+ * 1-15 form the bright half (shukla paksha) ending at full moon (पूर्णिमा)
+ * and tithis 16-30 the dark half (krishna paksha) ending at new moon (औंसी).
+ *
+ * As in Nepali panchangas, a day's tithi is the one prevailing at sunrise in
+ * Kathmandu. The Sun's longitude follows Meeus, "Astronomical Algorithms",
+ * chapter 25 and the Moon's the main terms of chapter 47, accurate to a few
+ * minutes of tithi end time. The difference between dynamical and universal
+ * time (about a minute over the supported range) is ignored.
+ *
+ * @author Deepak Lamichhane <lamichhanedeepak@gmail.com>
+ * @version 1.0.0
+ * @license MIT
+ */
+
+/**
+ * Latitude and longitude of Kathmandu, in degrees (north and east positive).
+ *
+ * @constant
+ * @type {{latitude: number, longitude: number}}
+ */
+const KATHMANDU = { latitude: 27.7172, longitude: 85.324 };
+
+/**
+ * Julian day of the J2000.0 epoch.
+ *
+ * @constant
+ * @type {number}
+ */
+const J2000 = 2451545;
+
+/**
+ * Julian day of the Unix epoch, 1970-01-01T00:00:00Z.
+ *
+ * @constant
+ * @type {number}
+ */
+const UNIX_EPOCH_JULIAN_DAY = 2440587.5;
+
+/**
+ * Mean daily motion of the Moon away from the Sun, in degrees.
+ *
+ * @constant
+ * @type {number}
+ */
+const MEAN_ELONGATION_RATE = 12.190749;
+
+/**
+ * Periodic terms of the Moon's longitude (Meeus, table 47.A) with amplitudes
+ * of at least 0.001°: multiples of D, M, M' and F, and the amplitude in
+ * millionths of a degree.
+ *
+ * @constant
+ * @type {Array<Array<number>>}
+ */
+// prettier-ignore
+const MOON_LONGITUDE_TERMS = [
+  [0, 0, 1, 0, 6288774], [2, 0, -1, 0, 1274027], [2, 0, 0, 0, 658314],
+  [0, 0, 2, 0, 213618], [0, 1, 0, 0, -185116], [0, 0, 0, 2, -114332],
+  [2, 0, -2, 0, 58793], [2, -1, -1, 0, 57066], [2, 0, 1, 0, 53322],
+  [2, -1, 0, 0, 45758], [0, 1, -1, 0, -40923], [1, 0, 0, 0, -34720],
+  [0, 1, 1, 0, -30383], [2, 0, 0, -2, 15327], [0, 0, 1, 2, -12528],
+  [0, 0, 1, -2, 10980], [4, 0, -1, 0, 10675], [0, 0, 3, 0, 10034],
+  [4, 0, -2, 0, 8548], [2, 1, -1, 0, -7888], [2, 1, 0, 0, -6766],
+  [1, 0, -1, 0, -5163], [1, 1, 0, 0, 4987], [2, -1, 1, 0, 4036],
+  [2, 0, 2, 0, 3994], [4, 0, 0, 0, 3861], [2, 0, -3, 0, 3665],
+  [0, 1, -2, 0, -2689], [2, 0, -1, 2, -2602], [2, -1, -2, 0, 2390],
+  [1, 0, 1, 0, -2348], [2, -2, 0, 0, 2236], [0, 1, 2, 0, -2120],
+  [0, 2, 0, 0, -2069], [2, -2, -1, 0, 2048], [2, 0, 1, -2, -1773],
+  [2, 0, 0, 2, -1595], [4, -1, -1, 0, 1215], [0, 0, 2, 2, -1110],
+];
+
+/**
+ * Tithi names within a paksha, from प्रतिपदा (1) to चतुर्दशी (14), followed by
+ * the names of the 15th tithi of the shukla and krishna pakshas.
+ *
+ * @constant
+ * @type {Object.<string, {names: Array<string>, purnima: string, aunsi: string, paksha: Object.<string, string>}>}
+ */
+const SCRIPTS = {
+  devanagari: {
+    // prettier-ignore
+    names: [
+      "प्रतिपदा", "द्वितीया", "तृतीया", "चतुर्थी", "पञ्चमी", "षष्ठी", "सप्तमी",
+      "अष्टमी", "नवमी", "दशमी", "एकादशी", "द्वादशी", "त्रयोदशी", "चतुर्दशी",
+    ],
+    purnima: "पूर्णिमा",
+    aunsi: "औंसी",
+    paksha: { shukla: "शुक्ल पक्ष", krishna: "कृष्ण पक्ष" },
+  },
+  roman: {
+    // prettier-ignore
+    names: [
+      "Pratipada", "Dwitiya", "Tritiya", "Chaturthi", "Panchami", "Shashthi",
+      "Saptami", "Ashtami", "Navami", "Dashami", "Ekadashi", "Dwadashi",
+      "Trayodashi", "Chaturdashi",
+    ],
+    purnima: "Purnima",
+    aunsi: "Aunsi",
+    paksha: { shukla: "Shukla Paksha", krishna: "Krishna Paksha" },
+  },
+};
+
+/**
+ * @typedef {Object} Tithi
+ * @property {number} number - The tithi of the lunar month (1-30)
+ * @property {number} day - The tithi within its paksha (1-15)
+ * @property {string} paksha - "shukla" (waxing) or "krishna" (waning)
+ * @property {string} name - The tithi name, e.g. "एकादशी"
+ * @property {string} pakshaName - The paksha name, e.g. "शुक्ल पक्ष"
+ * @property {Date} endsAt - The instant the tithi ends
+ */
+
+/**
+ * Converts degrees to radians.
+ *
+ * @private
+ * @param {number} degrees - The angle in degrees
+ * @returns {number} The angle in radians
+ */
+function radians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Reduces an angle to the range [0, 360).
+ *
+ * @private
+ * @param {number} degrees - The angle in degrees
+ * @returns {number} The normalized angle
+ */
+function normalize(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Gets the Sun's apparent geocentric longitude, ignoring nutation.
+ *
+ * @private
+ * @param {number} t - Julian centuries since J2000.0
+ * @returns {number} The longitude in degrees
+ */
+function sunLongitude(t) {
+  const meanLongitude = 280.46646 + 36000.76983 * t + 0.0003032 * t * t;
+  const anomaly = radians(357.52911 + 35999.05029 * t - 0.0001537 * t * t);
+  const center =
+    (1.914602 - 0.004817 * t - 0.000014 * t * t) * Math.sin(anomaly) +
+    (0.019993 - 0.000101 * t) * Math.sin(2 * anomaly) +
+    0.000289 * Math.sin(3 * anomaly);
+  // Aberration
+  return meanLongitude + center - 0.00569;
+}
+
+/**
+ * Gets the Moon's geocentric longitude, ignoring nutation.
+ *
+ * @private
+ * @param {number} t - Julian centuries since J2000.0
+ * @returns {number} The longitude in degrees
+ */
+function moonLongitude(t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  const t4 = t3 * t;
+  const meanLongitude =
+    218.3164477 +
+    481267.88123421 * t -
+    0.0015786 * t2 +
+    t3 / 538841 -
+    t4 / 65194000;
+  const elongation =
+    297.8501921 +
+    445267.1114034 * t -
+    0.0018819 * t2 +
+    t3 / 545868 -
+    t4 / 113065000;
+  const sunAnomaly =
+    357.5291092 + 35999.0502909 * t - 0.0001536 * t2 + t3 / 24490000;
+  const moonAnomaly =
+    134.9633964 +
+    477198.8675055 * t +
+    0.0087414 * t2 +
+    t3 / 69699 -
+    t4 / 14712000;
+  const latitudeArgument =
+    93.272095 +
+    483202.0175233 * t -
+    0.0036539 * t2 -
+    t3 / 3526000 +
+    t4 / 863310000;
+  // Decreasing eccentricity of the Earth's orbit
+  const eccentricity = 1 - 0.002516 * t - 0.0000074 * t2;
+
+  let sum = 0;
+  for (const [d, m, mPrime, f, amplitude] of MOON_LONGITUDE_TERMS) {
+    const argument =
+      d * elongation +
+      m * sunAnomaly +
+      mPrime * moonAnomaly +
+      f * latitudeArgument;
+    sum +=
+      amplitude * eccentricity ** Math.abs(m) * Math.sin(radians(argument));
+  }
+  // Action of Venus, the flattening of the Earth and Jupiter
+  sum +=
+    3958 * Math.sin(radians(119.75 + 131.849 * t)) +
+    1962 * Math.sin(radians(meanLongitude - latitudeArgument)) +
+    318 * Math.sin(radians(53.09 + 479264.29 * t));
+
+  return meanLongitude + sum / 1e6;
+}
+
+/**
+ * Gets the Sun's apparent tropical longitude at an instant.
+ *
+ * @param {number} julianDay - The Julian day
+ * @returns {number} The longitude in degrees, in the range [0, 360)
+ */
+export function solarLongitudeAt(julianDay) {
+  return normalize(sunLongitude((julianDay - J2000) / 36525));
+}
+
+/**
+ * Gets the elongation of the Moon from the Sun at an instant.
+ *
+ * @param {number} julianDay - The Julian day
+ * @returns {number} The elongation in degrees, in the range [0, 360)
+ */
+export function elongationAt(julianDay) {
+  const t = (julianDay - J2000) / 36525;
+  return normalize(moonLongitude(t) - sunLongitude(t));
+}
+
+/**
+ * Gets the time of sunrise in Kathmandu, when the upper limb of the Sun
+ * appears with standard refraction.
+ *
+ * @param {number} julianDayNumber - The Julian Day Number of the civil day
+ * @returns {number} The Julian day of sunrise
+ */
+export function sunriseOn(julianDayNumber) {
+  const { latitude, longitude } = KATHMANDU;
+  const day = julianDayNumber - J2000 + 0.0008 - longitude / 360;
+  const anomaly = normalize(357.5291 + 0.98560028 * day);
+  const center =
+    1.9148 * Math.sin(radians(anomaly)) +
+    0.02 * Math.sin(radians(2 * anomaly)) +
+    0.0003 * Math.sin(radians(3 * anomaly));
+  const eclipticLongitude = normalize(anomaly + center + 282.9372);
+  const transit =
+    J2000 +
+    day +
+    0.0053 * Math.sin(radians(anomaly)) -
+    0.0069 * Math.sin(radians(2 * eclipticLongitude));
+  const declination = Math.asin(
+    Math.sin(radians(eclipticLongitude)) * Math.sin(radians(23.4397))
+  );
+  const hourAngle = Math.acos(
+    (Math.sin(radians(-0.833)) -
+      Math.sin(radians(latitude)) * Math.sin(declination)) /
+      (Math.cos(radians(latitude)) * Math.cos(declination))
+  );
+  return transit - (hourAngle * 180) / Math.PI / 360;
+}
+
+/**
+ * Finds when the elongation reaches a value, by Newton's method with the mean
+ * rate of elongation. The result is the crossing nearest to the starting
+ * estimate, within half a lunar month.
+ *
+ * @param {number} julianDay - The Julian day to start from
+ * @param {number} target - The elongation to reach, in degrees
+ * @returns {number} The Julian day the elongation is reached
+ */
+export function elongationReached(julianDay, target) {
+  let estimate = julianDay;
+  for (let step = 0; step < 10; step++) {
+    // Signed distance to the target in (-180, 180]
+    const remaining = 180 - normalize(180 - (target - elongationAt(estimate)));
+    const correction = remaining / MEAN_ELONGATION_RATE;
+    estimate += correction;
+    if (Math.abs(correction) < 1e-6) {
+      break;
+    }
+  }
+  return estimate;
+}
+
+/**
+ * Gets the tithi of a BS date, as prevailing at sunrise in Kathmandu.
+ *
+ * @param {import("./bs-date.js").BSDate} date - The BS date
+ * @param {Object} [options={}] - Naming options
+ * @param {string} [options.script="devanagari"] - "devanagari" or "roman"
+ * @returns {Tithi} The tithi at sunrise
+ * @throws {RangeError} When the script is not supported
+ * @example
+ * tithiOf(new BSDate(2082, 6, 16)); // { number: 10, day: 10, paksha: "shukla", name: "दशमी", pakshaName: "शुक्ल पक्ष", endsAt: ... }
+ * tithiOf(new BSDate(2082, 7, 5), { script: "roman" }).name; // "Aunsi"
+ */
+export function tithiOf(date, { script = "devanagari" } = {}) {
+  if (!Object.hasOwn(SCRIPTS, script)) {
+    throw new RangeError(
+      `Unsupported script "${script}", expected "devanagari" or "roman"`
+    );
+  }
+
+  const sunrise = sunriseOn(date.valueOf());
+  const number = Math.floor(elongationAt(sunrise) / 12) + 1;
+  const paksha = number <= 15 ? "shukla" : "krishna";
+  const day = number <= 15 ? number : number - 15;
+  const words = SCRIPTS[script];
+  const endsAt = elongationReached(sunrise, (number * 12) % 360);
+
+  let name = words.names[day - 1];
+  if (number === 15) {
+    name = words.purnima;
+  } else if (number === 30) {
+    name = words.aunsi;
+  }
+
+  return {
+    number,
+    day,
+    paksha,
+    name,
+    pakshaName: words.paksha[paksha],
+    endsAt: new Date(Math.round((endsAt - UNIX_EPOCH_JULIAN_DAY) * 86400000)),
+  };
+}
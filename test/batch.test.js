@@ -0,0 +1,189 @@
+import { Buffer } from "node:buffer";
+import { Readable } from "node:stream";
+import { convertBatch, createBatchTransform } from "../src/batch.js";
+import { BSDateOutOfRangeError, DateOutOfRangeError } from "../src/errors.js";
+
+describe("Batch conversion of CSV", () => {
+  it("should convert named columns between BS and AD", async () => {
+    const { output, invalid } = await convertBatch(
+      "name,born,joined\nRam,2082-05-25,2025-09-10\nSita,2081-01-01,2024-04-13\n",
+      { columns: { born: "to-ad", joined: "to-bs" } }
+    );
+
+    expect(output).toBe(
+      "name,born,joined\nRam,2025-09-10,2082-05-25\nSita,2024-04-13,2081-01-01\n"
+    );
+    expect(invalid).toEqual([]);
+  });
+
+  it("should use input and output patterns and output columns", async () => {
+    const { output } = await convertBatch("id,dob\n1,२०८२/०५/२५\n2,\n", {
+      columns: {
+        dob: { direction: "to-ad", pattern: "YYYY/MM/DD", output: "dob_ad" },
+      },
+    });
+    expect(output).toBe("id,dob,dob_ad\n1,२०८२/०५/२५,2025-09-10\n2,,\n");
+
+    const bs = await convertBatch("date\n10/09/2025\n", {
+      columns: { date: "to-bs" },
+      pattern: "DD/MM/YYYY",
+      outputPattern: "NYYYY-NMM-NDD",
+    });
+    expect(bs.output).toBe("date\n२०८२-०५-२५\n");
+  });
+
+  it("should keep quoted fields intact", async () => {
+    const { output } = await convertBatch(
+      'note,date\r\n"says ""hi"", twice",2082-05-25\r\n"two\nlines",2082-05-26\r\n',
+      { columns: { date: "to-ad" } }
+    );
+
+    expect(output).toBe(
+      'note,date\n"says ""hi"", twice",2025-09-10\n"two\nlines",2025-09-11\n'
+    );
+  });
+
+  it("should report invalid rows instead of aborting", async () => {
+    const { output, invalid } = await convertBatch(
+      'name,date\nRam,2082-13-01\n"Sita\nDevi",25/05/2082\nHari,2082-05-25\nGita,2082-02-33\n',
+      { columns: { date: "to-ad" } }
+    );
+
+    expect(output).toBe("name,date\nHari,2025-09-10\n");
+    expect(
+      invalid.map(({ line, column, value }) => [line, column, value])
+    ).toEqual([
+      [2, "date", "2082-13-01"],
+      [3, "date", "25/05/2082"],
+      [6, "date", "2082-02-33"],
+    ]);
+    expect(invalid[0].record).toEqual({ name: "Ram", date: "2082-13-01" });
+    expect(invalid[0].error).toBeInstanceOf(BSDateOutOfRangeError);
+    expect(invalid[0].error.field).toBe("month");
+    expect(invalid[1].error.message).toBe(
+      '"25/05/2082" does not match pattern "YYYY-MM-DD"'
+    );
+    expect(invalid[2].error).toBeInstanceOf(BSDateOutOfRangeError);
+  });
+
+  it("should report AD dates that do not exist or are out of range", async () => {
+    const { invalid } = await convertBatch(
+      "date\n2025-02-30\n1900-01-01\n0043-05-01\n0004-02-29\n",
+      { columns: { date: "to-bs" } }
+    );
+
+    expect(invalid).toHaveLength(4);
+    expect(invalid[0].error).toBeInstanceOf(DateOutOfRangeError);
+    expect(invalid[0].error).toMatchObject({
+      field: "day",
+      value: 30,
+      max: 28,
+    });
+    // Years below 100 are not read as 1900-1999
+    for (const row of invalid.slice(1)) {
+      expect(row.error).toBeInstanceOf(DateOutOfRangeError);
+      expect(row.error.field).toBe("date");
+    }
+  });
+
+  it("should report rows with more fields than the header", async () => {
+    const { output, invalid } = await convertBatch(
+      "name,date\nRam,2082-05-25,extra\nSita,2082-05-26\n",
+      { columns: { date: "to-ad" } }
+    );
+
+    expect(output).toBe("name,date\nSita,2025-09-11\n");
+    expect(invalid).toHaveLength(1);
+    expect(invalid[0]).toMatchObject({
+      line: 2,
+      record: null,
+      value: ["Ram", "2082-05-25", "extra"],
+    });
+    expect(invalid[0].error).toBeInstanceOf(SyntaxError);
+  });
+
+  it("should fail when a column is not in the header", async () => {
+    await expect(
+      convertBatch("name,dob\n", { columns: { born: "to-ad" } })
+    ).rejects.toThrow('Column "born" is not in the CSV header');
+  });
+});
+
+describe("Batch conversion of NDJSON", () => {
+  it("should convert fields and report malformed lines", async () => {
+    const { output, invalid } = await convertBatch(
+      '{"id":1,"dob":"2082-05-25"}\n\nnot json\n{"id":2}\n{"id":3,"dob":"2082-05-40"}\n',
+      { format: "ndjson", columns: { dob: "to-ad" } }
+    );
+
+    expect(output).toBe('{"id":1,"dob":"2025-09-10"}\n{"id":2}\n');
+    expect(invalid.map(({ line, error }) => [line, error.name])).toEqual([
+      [3, "SyntaxError"],
+      [5, "BSDateOutOfRangeError"],
+    ]);
+    expect(invalid[0]).toMatchObject({ record: null, value: "not json" });
+  });
+
+  it("should report lines that are not JSON objects", async () => {
+    const { output, invalid } = await convertBatch(
+      'null\n[1]\n"2082-05-25"\n{"dob":"2082-05-25"}\n',
+      { format: "ndjson", columns: { dob: "to-ad" } }
+    );
+
+    expect(output).toBe('{"dob":"2025-09-10"}\n');
+    expect(invalid.map(({ line, error }) => [line, error.name])).toEqual([
+      [1, "TypeError"],
+      [2, "TypeError"],
+      [3, "TypeError"],
+    ]);
+    expect(invalid[1]).toMatchObject({ record: null, value: "[1]" });
+  });
+});
+
+describe("Batch transform stream", () => {
+  it("should handle records and characters split across chunks", async () => {
+    const input = Buffer.from("id,dob\n1,२०८२/०५/२५\n2,२०८२/०५/२६");
+    const chunks = [
+      input.subarray(0, 12),
+      input.subarray(12, 13),
+      input.subarray(13),
+    ];
+    const transform = createBatchTransform({
+      columns: { dob: "to-ad" },
+      pattern: "YYYY/MM/DD",
+    });
+
+    let output = "";
+    for await (const chunk of Readable.from(chunks).pipe(transform)) {
+      output += chunk;
+    }
+    expect(output).toBe("id,dob\n1,2025-09-10\n2,2025-09-11\n");
+  });
+
+  it("should emit invalid rows as events", async () => {
+    const transform = createBatchTransform({
+      format: "ndjson",
+      columns: { dob: "to-ad" },
+    });
+    const invalid = [];
+    transform.on("invalid", (row) => invalid.push(row));
+
+    transform.end('{"dob":"2099-01-01"}\n');
+    for await (const chunk of transform) {
+      throw new Error(`Unexpected output ${chunk}`);
+    }
+    expect(invalid).toHaveLength(1);
+    expect(invalid[0].error).toBeInstanceOf(BSDateOutOfRangeError);
+  });
+
+  it("should validate its options", () => {
+    expect(() => createBatchTransform()).toThrow(TypeError);
+    expect(() => createBatchTransform({ columns: {} })).toThrow(TypeError);
+    expect(() =>
+      createBatchTransform({ columns: { dob: "to-hijri" } })
+    ).toThrow(RangeError);
+    expect(() =>
+      createBatchTransform({ columns: { dob: "to-ad" }, format: "xml" })
+    ).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,127 @@
+import { BSDate, BSDateRange } from "../src/bs-date.js";
+
+describe("BSDateRange", () => {
+  const range = (from, to) =>
+    new BSDateRange(new BSDate(...from), new BSDate(...to));
+
+  it("should cover whole months and years", () => {
+    const kartik = BSDateRange.ofMonth(2082, 7);
+
+    expect(kartik.toString()).toBe("2082-07-01/2082-07-30");
+    expect(kartik.lengthInDays()).toBe(30);
+    expect(BSDateRange.ofYear(2082).toString()).toBe("2082-01-01/2082-12-30");
+    expect(BSDateRange.ofYear(2082).lengthInDays()).toBe(365);
+  });
+
+  it("should reject invalid bounds", () => {
+    expect(() => range([2082, 7, 2], [2082, 7, 1])).toThrow(RangeError);
+    expect(() => new BSDateRange("2082-07-01", new BSDate(2082, 7, 2))).toThrow(
+      TypeError
+    );
+    expect(Object.isFrozen(BSDateRange.ofMonth(2082, 7))).toBe(true);
+  });
+
+  it("should check containment and overlap", () => {
+    const kartik = BSDateRange.ofMonth(2082, 7);
+
+    expect(kartik.contains(new BSDate(2082, 7, 1))).toBe(true);
+    expect(kartik.contains(new BSDate(2082, 7, 30))).toBe(true);
+    expect(kartik.contains(new BSDate(2082, 8, 1))).toBe(false);
+    expect(kartik.contains(range([2082, 7, 5], [2082, 7, 10]))).toBe(true);
+    expect(kartik.contains(range([2082, 7, 20], [2082, 8, 5]))).toBe(false);
+
+    expect(kartik.overlaps(range([2082, 7, 30], [2082, 8, 5]))).toBe(true);
+    expect(kartik.overlaps(BSDateRange.ofMonth(2082, 8))).toBe(false);
+  });
+
+  it("should intersect ranges", () => {
+    const leave = range([2082, 7, 1], [2082, 7, 20]);
+
+    expect(
+      leave.intersection(range([2082, 7, 10], [2082, 8, 5])).toString()
+    ).toBe("2082-07-10/2082-07-20");
+    expect(
+      leave.intersection(range([2082, 7, 20], [2082, 7, 20])).lengthInDays()
+    ).toBe(1);
+    expect(leave.intersection(BSDateRange.ofMonth(2082, 8))).toBeNull();
+  });
+
+  it("should iterate by day, week and month", () => {
+    const kartik = BSDateRange.ofMonth(2082, 7);
+    const days = [...kartik];
+
+    expect(days).toHaveLength(30);
+    expect(days[0].equals(new BSDate(2082, 7, 1))).toBe(true);
+    expect(days[29].equals(new BSDate(2082, 7, 30))).toBe(true);
+    expect([...kartik.by("week")].map(String)).toEqual([
+      "2082-07-01",
+      "2082-07-08",
+      "2082-07-15",
+      "2082-07-22",
+      "2082-07-29",
+    ]);
+    expect([...kartik.by("day", 10)].map(String)).toEqual([
+      "2082-07-01",
+      "2082-07-11",
+      "2082-07-21",
+    ]);
+  });
+
+  it("should step by BS months without drifting after clamping", () => {
+    expect(
+      [...range([2082, 2, 32], [2082, 7, 30]).by("month")].map(String)
+    ).toEqual([
+      "2082-02-32",
+      "2082-03-31",
+      "2082-04-32",
+      "2082-05-31",
+      "2082-06-30",
+      "2082-07-30",
+    ]);
+    expect(() => [...BSDateRange.ofMonth(2082, 7).by("fortnight")]).toThrow(
+      RangeError
+    );
+    expect(() => [...BSDateRange.ofMonth(2082, 7).by("day", 0)]).toThrow(
+      RangeError
+    );
+  });
+
+  it("should step by months up to the end of the supported range", () => {
+    expect([...BSDateRange.ofMonth(2090, 12).by("month")].map(String)).toEqual([
+      "2090-12-01",
+    ]);
+    expect([...BSDateRange.ofYear(2090).by("month", 12)].map(String)).toEqual([
+      "2090-01-01",
+    ]);
+  });
+
+  it("should split into per-month chunks", () => {
+    expect(
+      range([2082, 7, 20], [2082, 9, 5]).splitByMonth().map(String)
+    ).toEqual([
+      "2082-07-20/2082-07-30",
+      "2082-08-01/2082-08-30",
+      "2082-09-01/2082-09-05",
+    ]);
+    expect(BSDateRange.ofMonth(2082, 7).splitByMonth().map(String)).toEqual([
+      "2082-07-01/2082-07-30",
+    ]);
+    expect(
+      BSDateRange.ofYear(2082)
+        .splitByMonth()
+        .map((chunk) => chunk.lengthInDays())
+    ).toEqual([30, 32, 31, 32, 31, 30, 30, 30, 29, 30, 30, 30]);
+  });
+
+  it("should compare and serialize", () => {
+    expect(
+      BSDateRange.ofMonth(2082, 7).equals(range([2082, 7, 1], [2082, 7, 30]))
+    ).toBe(true);
+    expect(BSDateRange.ofMonth(2082, 7).equals("2082-07-01/2082-07-30")).toBe(
+      false
+    );
+    expect(JSON.stringify({ range: BSDateRange.ofMonth(2082, 7) })).toBe(
+      '{"range":"2082-07-01/2082-07-30"}'
+    );
+  });
+});
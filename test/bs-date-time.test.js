@@ -0,0 +1,146 @@
+import BSDateTime from "../src/bs-date-time.js";
+import BSDate from "../src/bs-date.js";
+import { BSDateOutOfRangeError } from "../src/errors.js";
+
+describe("BSDateTime", () => {
+  it("should default the time of day to midnight", () => {
+    expect(new BSDateTime(2082, 5, 25).toString()).toStrictEqual(
+      "2082-05-25T00:00:00.000"
+    );
+  });
+
+  it("should be immutable", () => {
+    const bsDateTime = new BSDateTime(2082, 5, 25, 10, 30);
+    expect(Object.isFrozen(bsDateTime)).toBe(true);
+  });
+
+  it("should validate the date and time", () => {
+    expect(() => new BSDateTime(2082, 13, 1)).toThrow(BSDateOutOfRangeError);
+    expect(() => new BSDateTime(2082, 5, 25, 24)).toThrow(
+      expect.objectContaining({ field: "hours", value: 24, min: 0, max: 23 })
+    );
+    expect(() => new BSDateTime(2082, 5, 25, 10, 60)).toThrow(
+      BSDateOutOfRangeError
+    );
+    expect(() => new BSDateTime(2082, 5, 25, 10, 30, 0, 1.5)).toThrow(
+      BSDateOutOfRangeError
+    );
+  });
+
+  it("should convert from an AD instant in Nepal time", () => {
+    const bsDateTime = BSDateTime.fromAD(new Date("2025-09-10T04:45:00.000Z"));
+    expect(bsDateTime).toStrictEqual(new BSDateTime(2082, 5, 25, 10, 30));
+  });
+
+  it("should convert from an AD instant in another time zone", () => {
+    const bsDateTime = BSDateTime.fromAD(new Date("2025-09-09T23:00:00.000Z"), {
+      timeZone: "UTC",
+    });
+    expect(bsDateTime).toStrictEqual(new BSDateTime(2082, 5, 24, 23));
+  });
+
+  it("should convert to an AD instant", () => {
+    const bsDateTime = new BSDateTime(2082, 5, 25, 10, 30, 15, 250);
+    expect(bsDateTime.toAD()).toStrictEqual(
+      new Date("2025-09-10T04:45:15.250Z")
+    );
+    expect(bsDateTime.toAD({ timeZone: "UTC" })).toStrictEqual(
+      new Date("2025-09-10T10:30:15.250Z")
+    );
+    expect(BSDateTime.fromAD(bsDateTime.toAD())).toStrictEqual(bsDateTime);
+  });
+
+  it("should return the calendar date", () => {
+    expect(new BSDateTime(2082, 5, 25, 10, 30).toBSDate()).toStrictEqual(
+      new BSDate(2082, 5, 25)
+    );
+  });
+
+  it("should format time in Devanagari digits", () => {
+    expect(new BSDateTime(2082, 5, 25, 10, 30).toNepali()).toStrictEqual(
+      "भाद्र २५, २०८२ १०:३० बजे"
+    );
+  });
+
+  it("should format time tokens", () => {
+    const bsDateTime = new BSDateTime(2082, 5, 25, 14, 5, 9, 7);
+    expect(bsDateTime.format("YYYY-MM-DD HH:mm:ss.SSS")).toStrictEqual(
+      "2082-05-25 14:05:09.007"
+    );
+    expect(bsDateTime.format("h:mm A")).toStrictEqual("2:05 PM");
+    expect(bsDateTime.format("Nhh:Nmm NA")).toStrictEqual("०२:०५ अपराह्न");
+    expect(new BSDateTime(2082, 5, 25, 0, 5).format("h:mm A")).toStrictEqual(
+      "12:05 AM"
+    );
+  });
+
+  it("should format time tokens of a plain BSDate as midnight", () => {
+    expect(new BSDate(2082, 5, 25).format("YYYY-MM-DD HH:mm")).toStrictEqual(
+      "2082-05-25 00:00"
+    );
+  });
+
+  it("should parse dates with time", () => {
+    expect(BSDateTime.parse("2082-05-25T10:30:15.250")).toStrictEqual(
+      new BSDateTime(2082, 5, 25, 10, 30, 15, 250)
+    );
+    expect(
+      BSDateTime.parse("भाद्र २५, २०८२ २:०५ अपराह्न", "MMMM D, YYYY h:mm A")
+    ).toStrictEqual(new BSDateTime(2082, 5, 25, 14, 5));
+    expect(
+      BSDateTime.parse("2082-05-25 12:05 am", "YYYY-MM-DD h:mm A")
+    ).toStrictEqual(new BSDateTime(2082, 5, 25, 0, 5));
+    expect(() =>
+      BSDateTime.parse("2082-05-25 25:00", "YYYY-MM-DD HH:mm")
+    ).toThrow(BSDateOutOfRangeError);
+  });
+
+  it("should add hours and minutes across day and month boundaries", () => {
+    expect(new BSDateTime(2082, 5, 25, 23, 45).addMinutes(30)).toStrictEqual(
+      new BSDateTime(2082, 5, 26, 0, 15)
+    );
+    expect(new BSDateTime(2082, 4, 32, 20).addHours(6)).toStrictEqual(
+      new BSDateTime(2082, 5, 1, 2)
+    );
+    expect(new BSDateTime(2082, 1, 1, 1).addHours(-2)).toStrictEqual(
+      new BSDateTime(2081, 12, 30, 23)
+    );
+    expect(new BSDateTime(2082, 5, 25, 10).addHours(48)).toStrictEqual(
+      new BSDateTime(2082, 5, 27, 10)
+    );
+    expect(
+      new BSDateTime(2082, 5, 31, 23, 59, 59, 999).addMilliseconds(1)
+    ).toStrictEqual(new BSDateTime(2082, 6, 1));
+    expect(new BSDateTime(2082, 5, 25, 10).addSeconds(90)).toStrictEqual(
+      new BSDateTime(2082, 5, 25, 10, 1, 30)
+    );
+  });
+
+  it("should throw error if adding moves out of range", () => {
+    expect(() => new BSDateTime(2090, 12, 30, 23).addHours(1)).toThrow(
+      BSDateOutOfRangeError
+    );
+  });
+
+  it("should throw error if the amount to add is not an integer", () => {
+    const dateTime = new BSDateTime(2082, 5, 25, 10);
+    expect(() => dateTime.addMilliseconds(0.5)).toThrow(RangeError);
+    expect(() => dateTime.addMilliseconds(NaN)).toThrow(RangeError);
+    expect(() => dateTime.addSeconds(1.5)).toThrow(RangeError);
+    expect(() => dateTime.addMinutes("1")).toThrow(RangeError);
+    expect(() => dateTime.addHours(0.5)).toThrow("Hours must be an integer");
+  });
+
+  it("should compare and serialize", () => {
+    const a = new BSDateTime(2082, 5, 25, 10, 30);
+    const b = new BSDateTime(2082, 5, 25, 11);
+
+    expect(a < b).toBe(true);
+    expect(b - a).toStrictEqual(30 * 60 * 1000);
+    expect(a.equals(new BSDateTime(2082, 5, 25, 10, 30))).toBe(true);
+    expect(a.equals(b)).toBe(false);
+    expect(JSON.stringify({ at: a })).toStrictEqual(
+      '{"at":"2082-05-25T10:30:00.000"}'
+    );
+  });
+});
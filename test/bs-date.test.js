@@ -5,7 +5,17 @@ import { jest } from "@jest/globals";
 describe("BSDate", () => {
   it("should convert to AD", () => {
     const date = new BSDate(2082, 5, 25).toAD();
-    expect(date).toStrictEqual(new Date("2025-09-10T00:00:00.000Z"));
+    expect(date).toStrictEqual(new Date("2025-09-09T18:15:00.000Z"));
+  });
+
+  it("should convert to AD in a given time zone", () => {
+    const bsDate = new BSDate(2082, 5, 25);
+    expect(bsDate.toAD({ timeZone: "UTC" })).toStrictEqual(
+      new Date("2025-09-10T00:00:00.000Z")
+    );
+    expect(bsDate.toAD({ timeZone: "America/New_York" })).toStrictEqual(
+      new Date("2025-09-10T04:00:00.000Z")
+    );
   });
 
   it("should throw error if date is invalid", () => {
@@ -28,6 +38,20 @@ describe("BSDate", () => {
     expect(bsDate.toNepali()).toStrictEqual("भाद्र १८, २०८२");
   });
 
+  it("should spell out the date in words", () => {
+    const bsDate = new BSDate(2082, 5, 25);
+    expect(bsDate.toWords()).toStrictEqual(
+      "दुई हजार बयासी साल भाद्र पच्चीस गते बुधबार"
+    );
+    expect(bsDate.toWords({ script: "roman" })).toStrictEqual(
+      "dui hajar bayasi sal Bhadra pachchis gate Budhbar"
+    );
+    expect(bsDate.toWords({ weekday: false })).toStrictEqual(
+      "दुई हजार बयासी साल भाद्र पच्चीस गते"
+    );
+    expect(() => bsDate.toWords({ script: "latin" })).toThrow(RangeError);
+  });
+
   it("should return month name", () => {
     const bsDate = new BSDate(2082, 5, 18);
     expect(bsDate.monthName()).toStrictEqual("भाद्र");
@@ -61,3 +85,528 @@ describe("BSDate", () => {
     );
   });
 });
+
+describe("BSDate arithmetic", () => {
+  it("should add days across month and year boundaries", () => {
+    expect(new BSDate(2082, 5, 31).addDays(1)).toStrictEqual(
+      new BSDate(2082, 6, 1)
+    );
+    expect(new BSDate(2081, 12, 30).addDays(1)).toStrictEqual(
+      new BSDate(2082, 1, 1)
+    );
+    expect(new BSDate(2082, 5, 31).addDays(-31)).toStrictEqual(
+      new BSDate(2082, 4, 32)
+    );
+    expect(new BSDate(2082, 5, 25).addDays(0)).toStrictEqual(
+      new BSDate(2082, 5, 25)
+    );
+  });
+
+  it("should agree with AD conversion when adding days", () => {
+    const bsDate = new BSDate(2082, 5, 25);
+    expect(bsDate.addDays(100).toAD({ timeZone: "UTC" })).toStrictEqual(
+      new Date("2025-12-19T00:00:00.000Z")
+    );
+  });
+
+  it("should add months and clamp to the target month length", () => {
+    expect(new BSDate(2082, 4, 32).addMonths(1)).toStrictEqual(
+      new BSDate(2082, 5, 31)
+    );
+    expect(new BSDate(2082, 11, 15).addMonths(3)).toStrictEqual(
+      new BSDate(2083, 2, 15)
+    );
+    expect(new BSDate(2082, 2, 32).addMonths(-13)).toStrictEqual(
+      new BSDate(2081, 1, 31)
+    );
+  });
+
+  it("should add years and clamp to the target month length", () => {
+    expect(new BSDate(2081, 3, 32).addYears(1)).toStrictEqual(
+      new BSDate(2082, 3, 31)
+    );
+    expect(new BSDate(2082, 5, 25).addYears(-2)).toStrictEqual(
+      new BSDate(2080, 5, 25)
+    );
+  });
+
+  it("should throw error if the result is out of range", () => {
+    expect(() => new BSDate(2000, 1, 1).addDays(-1)).toThrow(
+      BSDateOutOfRangeError
+    );
+    expect(() => new BSDate(2090, 12, 30).addDays(1)).toThrow(
+      BSDateOutOfRangeError
+    );
+    expect(() => new BSDate(2090, 6, 1).addMonths(7)).toThrow(
+      BSDateOutOfRangeError
+    );
+    expect(() => new BSDate(2000, 6, 1).addYears(-1)).toThrow(
+      BSDateOutOfRangeError
+    );
+  });
+
+  it("should throw error if the number of days is not an integer", () => {
+    const bsDate = new BSDate(2082, 5, 25);
+    expect(() => bsDate.addDays(1.5)).toThrow(RangeError);
+    expect(() => bsDate.addDays(NaN)).toThrow(RangeError);
+    expect(() => bsDate.addDays("1")).toThrow(RangeError);
+  });
+
+  it("should throw error if the number of months or years is not an integer", () => {
+    const bsDate = new BSDate(2082, 5, 25);
+    expect(() => bsDate.addMonths(1.5)).toThrow(RangeError);
+    expect(() => bsDate.addMonths("1")).toThrow(RangeError);
+    expect(() => bsDate.addYears(0.5)).toThrow(RangeError);
+    expect(() => bsDate.addYears("1")).toThrow(RangeError);
+  });
+
+  it("should diff in days and weeks", () => {
+    const bsDate = new BSDate(2082, 5, 25);
+    expect(bsDate.diff(new BSDate(2082, 4, 25))).toStrictEqual(32);
+    expect(new BSDate(2082, 4, 25).diff(bsDate, "days")).toStrictEqual(-32);
+    expect(bsDate.diff(new BSDate(2082, 4, 25), "weeks")).toStrictEqual(4);
+    expect(bsDate.diff(new BSDate(2082, 5, 20), "weeks")).toStrictEqual(0);
+  });
+
+  it("should diff in complete BS months and years", () => {
+    const bsDate = new BSDate(2082, 5, 25);
+    expect(bsDate.diff(new BSDate(2082, 4, 25), "months")).toStrictEqual(1);
+    expect(bsDate.diff(new BSDate(2082, 4, 26), "months")).toStrictEqual(0);
+    expect(new BSDate(2082, 4, 25).diff(bsDate, "months")).toStrictEqual(-1);
+    expect(
+      new BSDate(2082, 5, 31).diff(new BSDate(2082, 4, 32), "months")
+    ).toStrictEqual(1);
+    expect(bsDate.diff(new BSDate(2080, 5, 26), "years")).toStrictEqual(1);
+    expect(bsDate.diff(new BSDate(2083, 5, 24), "years")).toStrictEqual(0);
+  });
+
+  it("should throw error for unsupported units", () => {
+    const bsDate = new BSDate(2082, 5, 25);
+    expect(() => bsDate.diff(bsDate, "hours")).toThrow(Error);
+  });
+});
+
+describe("BSDate value semantics", () => {
+  it("should be immutable", () => {
+    const bsDate = new BSDate(2082, 5, 25);
+    expect(Object.isFrozen(bsDate)).toBe(true);
+    expect(() => {
+      bsDate.day = 26;
+    }).toThrow(TypeError);
+    expect(bsDate.day).toStrictEqual(25);
+  });
+
+  it("should compare dates", () => {
+    const a = new BSDate(2082, 5, 25);
+    const b = new BSDate(2082, 6, 1);
+
+    expect(a.equals(new BSDate(2082, 5, 25))).toBe(true);
+    expect(a.equals(b)).toBe(false);
+    expect(a.equals("2082-05-25")).toBe(false);
+    expect(a.compareTo(b)).toStrictEqual(-1);
+    expect(b.compareTo(a)).toStrictEqual(1);
+    expect(a.compareTo(new BSDate(2082, 5, 25))).toStrictEqual(0);
+    expect(a.isBefore(b)).toBe(true);
+    expect(a.isAfter(b)).toBe(false);
+  });
+
+  it("should use the Julian Day Number as ordinal value", () => {
+    const a = new BSDate(2082, 5, 25);
+    const b = new BSDate(2082, 6, 1);
+
+    expect(a.valueOf()).toStrictEqual(2460929);
+    expect(a < b).toBe(true);
+    expect(b - a).toStrictEqual(7);
+  });
+
+  it("should sort dates", () => {
+    const dates = [
+      new BSDate(2082, 6, 1),
+      new BSDate(2081, 12, 30),
+      new BSDate(2082, 5, 25),
+    ];
+    const expected = [
+      new BSDate(2081, 12, 30),
+      new BSDate(2082, 5, 25),
+      new BSDate(2082, 6, 1),
+    ];
+
+    expect([...dates].sort(BSDate.compare)).toStrictEqual(expected);
+    expect([...dates].sort((a, b) => a - b)).toStrictEqual(expected);
+    expect([...dates].sort()).toStrictEqual(expected);
+  });
+
+  it("should serialize as an ISO-like string", () => {
+    const bsDate = new BSDate(2082, 5, 7);
+    expect(bsDate.toString()).toStrictEqual("2082-05-07");
+    expect(`${bsDate}`).toStrictEqual("2082-05-07");
+    expect(JSON.stringify({ date: bsDate })).toStrictEqual(
+      '{"date":"2082-05-07"}'
+    );
+  });
+
+  it("should work as a Set or Map key through its string form", () => {
+    const keys = new Set(
+      [new BSDate(2082, 5, 25), new BSDate(2082, 5, 25)].map(String)
+    );
+    expect(keys.size).toStrictEqual(1);
+    expect(BSDate.parse([...keys][0])).toStrictEqual(new BSDate(2082, 5, 25));
+  });
+});
+
+describe("BSDate validation", () => {
+  const errorFor = (...args) => {
+    try {
+      new BSDate(...args);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  it("should validate at construction time", () => {
+    expect(() => new BSDate(2082, 13, 40)).toThrow(BSDateOutOfRangeError);
+    expect(() => new BSDate(2082, 9, 30)).toThrow(BSDateOutOfRangeError);
+    expect(() => new BSDate(2082, 5, 2.5)).toThrow(BSDateOutOfRangeError);
+    expect(() => new BSDate("2082", 5, 25)).toThrow(BSDateOutOfRangeError);
+    expect(() => new BSDate(2082, 5)).toThrow(BSDateOutOfRangeError);
+  });
+
+  it("should report the invalid year", () => {
+    const error = errorFor(1999, 5, 25);
+    expect(error.message).toStrictEqual(
+      "Year 1999 is out of valid range (2000-2090)"
+    );
+    expect(error).toMatchObject({
+      field: "year",
+      value: 1999,
+      min: 2000,
+      max: 2090,
+    });
+  });
+
+  it("should report the invalid month", () => {
+    const error = errorFor(2082, 13, 40);
+    expect(error.message).toStrictEqual(
+      "Month 13 is out of valid range (1-12)"
+    );
+    expect(error).toMatchObject({ field: "month", value: 13, min: 1, max: 12 });
+  });
+
+  it("should report the invalid day against the month length", () => {
+    const error = errorFor(2082, 9, 30);
+    expect(error.message).toStrictEqual(
+      "Day 30 is out of valid range (1-29) for 2082/09"
+    );
+    expect(error).toMatchObject({ field: "day", value: 30, min: 1, max: 29 });
+  });
+
+  it("should report missing components", () => {
+    const error = errorFor(2082, 5);
+    expect(error.message).toStrictEqual("Day is required");
+    expect(error).toMatchObject({ field: "day", value: undefined });
+  });
+
+  it("should check validity without throwing", () => {
+    expect(BSDate.isValid(2082, 5, 25)).toBe(true);
+    expect(BSDate.isValid(2082, 4, 32)).toBe(true);
+    expect(BSDate.isValid(2082, 13, 40)).toBe(false);
+    expect(BSDate.isValid(2082, 9, 30)).toBe(false);
+    expect(BSDate.isValid(2091, 1, 1)).toBe(false);
+    expect(BSDate.isValid()).toBe(false);
+  });
+});
+
+describe("Functional exports", () => {
+  it("should expose conversion helpers without patching prototypes", async () => {
+    const { toNepaliDigits, adToBS, bsToAD } = await import(
+      "../src/bs-date.js"
+    );
+
+    expect(toNepaliDigits(25)).toStrictEqual("२५");
+    expect(adToBS(new Date("2025-09-10"))).toStrictEqual(
+      new BSDate(2082, 5, 25)
+    );
+    expect(bsToAD(2082, 5, 25)).toStrictEqual(
+      new Date("2025-09-09T18:15:00.000Z")
+    );
+    expect(Number.prototype.toNepali).toBeUndefined();
+    expect(Date.prototype.toBS).toBeUndefined();
+  });
+});
+
+describe("BSDate month grid", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should return the weekday of a date", () => {
+    expect(new BSDate(2082, 5, 1).dayOfWeek()).toBe(0);
+    expect(new BSDate(2082, 5, 25).dayOfWeek()).toBe(3);
+  });
+
+  it("should lay out whole weeks starting on Sunday", () => {
+    const weeks = BSDate.monthGrid(2082, 5);
+
+    expect(weeks).toHaveLength(5);
+    expect(weeks.every((week) => week.length === 7)).toBe(true);
+    expect(weeks[0][0]).toMatchObject({
+      date: new BSDate(2082, 5, 1),
+      adDate: new Date("2025-08-16T18:15:00.000Z"),
+      weekday: 0,
+      inMonth: true,
+    });
+    expect(weeks[4].map(({ date }) => date.toString())).toStrictEqual([
+      "2082-05-29",
+      "2082-05-30",
+      "2082-05-31",
+      "2082-06-01",
+      "2082-06-02",
+      "2082-06-03",
+      "2082-06-04",
+    ]);
+    expect(weeks.flat().filter(({ inMonth }) => inMonth)).toHaveLength(31);
+  });
+
+  it("should pad with the previous month for other week starts", () => {
+    const weeks = BSDate.monthGrid(2082, 5, { weekStartsOn: 1 });
+
+    expect(weeks).toHaveLength(6);
+    expect(weeks[0][0]).toMatchObject({
+      date: new BSDate(2082, 4, 27),
+      weekday: 1,
+      inMonth: false,
+    });
+    expect(weeks[0][6].date).toStrictEqual(new BSDate(2082, 5, 1));
+  });
+
+  it("should mark today in the given time zone", () => {
+    jest.useFakeTimers({ now: new Date("2025-09-09T23:00:00.000Z") });
+
+    const today = (timeZone) =>
+      BSDate.monthGrid(2082, 5, { timeZone })
+        .flat()
+        .filter(({ isToday }) => isToday)
+        .map(({ date }) => date.day);
+
+    expect(today()).toStrictEqual([25]);
+    expect(today("UTC")).toStrictEqual([24]);
+  });
+
+  it("should leave days outside the supported range empty", () => {
+    const [firstWeek] = BSDate.monthGrid(2000, 1);
+    const leading = new BSDate(2000, 1, 1).dayOfWeek();
+
+    expect(firstWeek.slice(0, leading)).toStrictEqual(
+      new Array(leading).fill(null)
+    );
+    expect(firstWeek[leading].date).toStrictEqual(new BSDate(2000, 1, 1));
+  });
+
+  it("should validate its arguments", () => {
+    expect(() => BSDate.monthGrid(2082, 13)).toThrow(BSDateOutOfRangeError);
+    expect(() => BSDate.monthGrid(2082, 5, { weekStartsOn: 7 })).toThrow(
+      RangeError
+    );
+  });
+});
+
+describe("BSDate fiscal year", () => {
+  it("should label the fiscal year starting on Shrawan 1", () => {
+    expect(new BSDate(2082, 4, 1).fiscalYear()).toBe("2082/83");
+    expect(new BSDate(2083, 3, 32).fiscalYear()).toBe("2082/83");
+    expect(new BSDate(2082, 3, 31).fiscalYear()).toBe("2081/82");
+    expect(new BSDate(2000, 1, 1).fiscalYear()).toBe("1999/00");
+  });
+
+  it("should return the fiscal quarter", () => {
+    const quarters = Array.from({ length: 12 }, (_, index) =>
+      new BSDate(2082, index + 1, 1).fiscalQuarter()
+    );
+    expect(quarters).toStrictEqual([4, 4, 4, 1, 1, 1, 2, 2, 2, 3, 3, 3]);
+  });
+
+  it("should return the first and last days of the fiscal year", () => {
+    const date = new BSDate(2082, 11, 7);
+
+    expect(date.startOfFiscalYear()).toStrictEqual(new BSDate(2082, 4, 1));
+    expect(date.endOfFiscalYear()).toStrictEqual(new BSDate(2083, 3, 32));
+    expect(new BSDate(2082, 2, 1).endOfFiscalYear()).toStrictEqual(
+      new BSDate(2082, 3, 31)
+    );
+  });
+
+  it("should return the range of a fiscal year label", () => {
+    expect(BSDate.fiscalYearRange("2081/82")).toStrictEqual({
+      start: new BSDate(2081, 4, 1),
+      end: new BSDate(2082, 3, 31),
+    });
+    expect(BSDate.fiscalYearRange("2082/83")).toStrictEqual({
+      start: new BSDate(2082, 4, 1),
+      end: new BSDate(2083, 3, 32),
+    });
+  });
+
+  it("should reject malformed labels and out-of-range fiscal years", () => {
+    for (const label of ["2082", "2082/84", "2082-83", "82/83"]) {
+      expect(() => BSDate.fiscalYearRange(label)).toThrow(
+        "is not a fiscal year label"
+      );
+    }
+    expect(() => BSDate.fiscalYearRange("2090/91")).toThrow(
+      BSDateOutOfRangeError
+    );
+    expect(() => new BSDate(2000, 1, 1).startOfFiscalYear()).toThrow(
+      BSDateOutOfRangeError
+    );
+  });
+});
+
+describe("BSDate calendar navigation", () => {
+  const date = new BSDate(2082, 5, 25);
+
+  it("should count the days in months and years", () => {
+    expect(BSDate.daysInMonth(2081, 9)).toBe(29);
+    expect(BSDate.daysInMonth(2082, 5)).toBe(31);
+    expect(BSDate.daysInYear(2082)).toBe(365);
+    expect(BSDate.daysInYear(2081)).toBe(366);
+    expect(() => BSDate.daysInMonth(2082, 13)).toThrow(BSDateOutOfRangeError);
+    expect(() => BSDate.daysInYear(2091)).toThrow(BSDateOutOfRangeError);
+  });
+
+  it("should find the start and end of a month, quarter and year", () => {
+    expect(date.startOf("month")).toStrictEqual(new BSDate(2082, 5, 1));
+    expect(date.endOf("month")).toStrictEqual(new BSDate(2082, 5, 31));
+    expect(date.startOf("quarter")).toStrictEqual(new BSDate(2082, 4, 1));
+    expect(date.endOf("quarter")).toStrictEqual(new BSDate(2082, 6, 30));
+    expect(new BSDate(2082, 3, 31).startOf("quarter")).toStrictEqual(
+      new BSDate(2082, 1, 1)
+    );
+    expect(date.startOf("year")).toStrictEqual(new BSDate(2082, 1, 1));
+    expect(date.endOf("year")).toStrictEqual(new BSDate(2082, 12, 30));
+  });
+
+  it("should find the start and end of a week", () => {
+    // 2082/5/25 is a Wednesday
+    expect(date.startOf("week")).toStrictEqual(new BSDate(2082, 5, 22));
+    expect(date.endOf("week")).toStrictEqual(new BSDate(2082, 5, 28));
+    expect(date.startOf("week", { weekStartsOn: 1 })).toStrictEqual(
+      new BSDate(2082, 5, 23)
+    );
+    expect(date.endOf("week", { weekStartsOn: 4 })).toStrictEqual(
+      new BSDate(2082, 5, 25)
+    );
+    expect(() => date.startOf("week", { weekStartsOn: 7 })).toThrow(RangeError);
+    expect(() => date.startOf("day")).toThrow('Unsupported unit "day"');
+  });
+
+  it("should number days and weeks within the year", () => {
+    expect(new BSDate(2082, 1, 1).dayOfYear()).toBe(1);
+    expect(new BSDate(2082, 2, 1).dayOfYear()).toBe(31);
+    expect(date.dayOfYear()).toBe(150);
+    expect(new BSDate(2081, 12, 30).dayOfYear()).toBe(366);
+
+    // Baisakh 1, 2082 is a Monday
+    expect(new BSDate(2082, 1, 1).weekOfYear()).toBe(1);
+    expect(new BSDate(2082, 1, 6).weekOfYear()).toBe(1);
+    expect(new BSDate(2082, 1, 7).weekOfYear()).toBe(2);
+    expect(new BSDate(2082, 1, 7).weekOfYear({ weekStartsOn: 1 })).toBe(1);
+    expect(date.weekOfYear()).toBe(22);
+    expect(new BSDate(2082, 12, 30).weekOfYear()).toBe(53);
+  });
+
+  it("should recognise the last day of a month", () => {
+    expect(new BSDate(2082, 5, 31).isLastDayOfMonth()).toBe(true);
+    expect(new BSDate(2082, 5, 30).isLastDayOfMonth()).toBe(false);
+    expect(new BSDate(2081, 9, 29).isLastDayOfMonth()).toBe(true);
+  });
+});
+
+describe("BSDate age and anniversaries", () => {
+  it("should give the age in BS years, months and days", () => {
+    expect(
+      BSDate.age(new BSDate(2050, 8, 20), { on: new BSDate(2082, 5, 25) })
+    ).toStrictEqual({ years: 31, months: 9, days: 5 });
+    // Borrows the 32 days of Shrawan 2082
+    expect(
+      BSDate.age(new BSDate(2082, 4, 15), { on: new BSDate(2082, 5, 10) })
+    ).toStrictEqual({ years: 0, months: 0, days: 27 });
+    expect(
+      BSDate.age(new BSDate(2082, 5, 25), { on: new BSDate(2082, 5, 25) })
+    ).toStrictEqual({ years: 0, months: 0, days: 0 });
+  });
+
+  it("should reach a 32nd-day birthday on the last day of a shorter month", () => {
+    const birth = new BSDate(2080, 2, 32);
+    expect(BSDate.age(birth, { on: new BSDate(2081, 2, 30) })).toStrictEqual({
+      years: 0,
+      months: 11,
+      days: 30,
+    });
+    expect(BSDate.age(birth, { on: new BSDate(2081, 2, 31) })).toStrictEqual({
+      years: 1,
+      months: 0,
+      days: 0,
+    });
+  });
+
+  it("should default to today", () => {
+    const birth = BSDate.today().addYears(-20);
+    expect(BSDate.age(birth).years).toBe(20);
+  });
+
+  it("should reject invalid ages", () => {
+    expect(() =>
+      BSDate.age(new BSDate(2082, 5, 26), { on: new BSDate(2082, 5, 25) })
+    ).toThrow(RangeError);
+    expect(() => BSDate.age(new Date())).toThrow(TypeError);
+  });
+
+  it("should find the next anniversary", () => {
+    const hired = new BSDate(2079, 5, 25);
+    expect(
+      BSDate.nextAnniversary(hired, { from: new BSDate(2082, 5, 1) }).equals(
+        new BSDate(2082, 5, 25)
+      )
+    ).toBe(true);
+    expect(
+      BSDate.nextAnniversary(hired, { from: new BSDate(2082, 5, 25) }).equals(
+        new BSDate(2082, 5, 25)
+      )
+    ).toBe(true);
+    expect(
+      BSDate.nextAnniversary(hired, { from: new BSDate(2082, 5, 26) }).equals(
+        new BSDate(2083, 5, 25)
+      )
+    ).toBe(true);
+    // An anniversary is at least a year after the date
+    expect(
+      BSDate.nextAnniversary(hired, { from: new BSDate(2079, 5, 1) }).equals(
+        new BSDate(2080, 5, 25)
+      )
+    ).toBe(true);
+  });
+
+  it("should move a 32nd-day anniversary to the end of a shorter month", () => {
+    const birth = new BSDate(2080, 2, 32);
+    expect(
+      BSDate.nextAnniversary(birth, { from: new BSDate(2081, 1, 1) }).equals(
+        new BSDate(2081, 2, 31)
+      )
+    ).toBe(true);
+    expect(
+      BSDate.nextAnniversary(birth, { from: new BSDate(2081, 3, 1) }).equals(
+        new BSDate(2082, 2, 32)
+      )
+    ).toBe(true);
+  });
+
+  it("should reject anniversaries outside the supported range", () => {
+    expect(() =>
+      BSDate.nextAnniversary(new BSDate(2050, 12, 1), {
+        from: new BSDate(2090, 12, 2),
+      })
+    ).toThrow(BSDateOutOfRangeError);
+    expect(() => BSDate.nextAnniversary("2080-01-01")).toThrow(TypeError);
+  });
+});
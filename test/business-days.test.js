@@ -0,0 +1,111 @@
+import BSDate from "../src/bs-date.js";
+import { BSDateOutOfRangeError } from "../src/errors.js";
+import { registerHolidays } from "../src/holidays.js";
+import { workingDayPredicate } from "../src/business-days.js";
+
+describe("Working days", () => {
+  it("should treat Saturday as the default weekend", () => {
+    expect(new BSDate(2082, 5, 25).isWorkingDay()).toBe(true);
+    expect(new BSDate(2082, 5, 28).isWorkingDay()).toBe(false);
+    expect(new BSDate(2082, 5, 29).isWorkingDay()).toBe(true);
+  });
+
+  it("should accept weekend days by index or name", () => {
+    const sunday = new BSDate(2082, 5, 29);
+
+    for (const weekend of [
+      [0, 6],
+      ["आइतबार", "शनिवार"],
+      ["Aaitabar", "Shanibar"],
+      ["sunday", "Saturday"],
+    ]) {
+      expect(sunday.isWorkingDay({ weekend })).toBe(false);
+    }
+    expect(() => sunday.isWorkingDay({ weekend: ["Funday"] })).toThrow(
+      RangeError
+    );
+    expect(() =>
+      sunday.isWorkingDay({ weekend: [0, 1, 2, 3, 4, 5, 6] })
+    ).toThrow(RangeError);
+  });
+
+  it("should skip registered holidays by default", () => {
+    const constitutionDay = new BSDate(2082, 6, 3);
+
+    expect(constitutionDay.isWorkingDay()).toBe(false);
+    expect(constitutionDay.isWorkingDay({ holidays: [] })).toBe(true);
+  });
+
+  it("should use the given holiday list instead of the registry", () => {
+    const isWorkingDay = workingDayPredicate({
+      holidays: [new BSDate(2082, 6, 16), "2082-06-17"],
+    });
+
+    expect(isWorkingDay(new BSDate(2082, 6, 3))).toBe(true);
+    expect(isWorkingDay(new BSDate(2082, 6, 16))).toBe(false);
+    expect(isWorkingDay(new BSDate(2082, 6, 17))).toBe(false);
+    expect(() => workingDayPredicate({ holidays: ["2082-13-01"] })).toThrow(
+      BSDateOutOfRangeError
+    );
+  });
+});
+
+describe("Business day arithmetic", () => {
+  it("should add business days across weekends", () => {
+    const friday = new BSDate(2082, 5, 27);
+
+    expect(friday.addBusinessDays(1)).toStrictEqual(new BSDate(2082, 5, 29));
+    expect(friday.addBusinessDays(1, { weekend: [0, 6] })).toStrictEqual(
+      new BSDate(2082, 5, 30)
+    );
+    expect(new BSDate(2082, 5, 29).addBusinessDays(-1)).toStrictEqual(friday);
+    expect(friday.addBusinessDays(0)).toBe(friday);
+  });
+
+  it("should add business days across holidays", () => {
+    const unregister = registerHolidays([
+      { year: 2082, month: 6, day: 5, name: "बिदा" },
+    ]);
+
+    // 2082/6/3 is Constitution Day and 2082/6/4 a Saturday
+    expect(new BSDate(2082, 6, 2).addBusinessDays(2)).toStrictEqual(
+      new BSDate(2082, 6, 7)
+    );
+    expect(
+      new BSDate(2082, 6, 2).addBusinessDays(2, { holidays: [] })
+    ).toStrictEqual(new BSDate(2082, 6, 5));
+    unregister();
+  });
+
+  it("should count business days between dates", () => {
+    const from = new BSDate(2082, 5, 25);
+    const to = new BSDate(2082, 6, 1);
+
+    expect(BSDate.businessDaysBetween(from, to)).toBe(6);
+    expect(BSDate.businessDaysBetween(to, from)).toBe(-6);
+    expect(BSDate.businessDaysBetween(from, from)).toBe(0);
+    expect(BSDate.businessDaysBetween(from, to, { weekend: [0, 6] })).toBe(5);
+  });
+
+  it("should invert addBusinessDays", () => {
+    const from = new BSDate(2082, 5, 25);
+
+    for (const days of [-40, -7, -1, 1, 5, 23, 60]) {
+      expect(BSDate.businessDaysBetween(from, from.addBusinessDays(days))).toBe(
+        days
+      );
+    }
+  });
+
+  it("should throw error if the result is out of range", () => {
+    expect(() => new BSDate(2090, 12, 30).addBusinessDays(5)).toThrow(
+      BSDateOutOfRangeError
+    );
+  });
+
+  it("should throw error if the number of days is not an integer", () => {
+    const friday = new BSDate(2082, 5, 27);
+    expect(() => friday.addBusinessDays(1.5)).toThrow(RangeError);
+    expect(() => friday.addBusinessDays(NaN)).toThrow(RangeError);
+  });
+});
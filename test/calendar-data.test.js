@@ -0,0 +1,220 @@
+import BSDate, { adToBS } from "../src/bs-date.js";
+import {
+  bsToDays,
+  calendarData,
+  daysToBS,
+  firstYear,
+  lastYear,
+  loadCalendarData,
+  resetCalendarData,
+  supportedRange,
+} from "../src/calendar-data.js";
+import { monthDaysInBSYear } from "../src/config.js";
+import { CalendarDataError, DateOutOfRangeError } from "../src/errors.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("Calendar data tables", () => {
+  it("should convert BS dates to days since the epoch", () => {
+    expect(bsToDays(2000, 1, 1)).toStrictEqual(0);
+    expect(bsToDays(2000, 2, 1)).toStrictEqual(30);
+    expect(bsToDays(2001, 1, 1)).toStrictEqual(365);
+  });
+
+  it("should convert days since the epoch to BS dates", () => {
+    expect(daysToBS(0)).toStrictEqual([2000, 1, 1]);
+    expect(daysToBS(29)).toStrictEqual([2000, 1, 30]);
+    expect(daysToBS(30)).toStrictEqual([2000, 2, 1]);
+    expect(daysToBS(365)).toStrictEqual([2001, 1, 1]);
+  });
+
+  it("should return null outside the supported range", () => {
+    const lastDay = bsToDays(2090, 12, 30);
+    expect(daysToBS(-1)).toBeNull();
+    expect(daysToBS(lastDay)).toStrictEqual([2090, 12, 30]);
+    expect(daysToBS(lastDay + 1)).toBeNull();
+  });
+
+  it("should match the cumulative sum of month lengths", () => {
+    let expected = 0;
+    for (const [year, monthDays] of Object.entries(monthDaysInBSYear)) {
+      monthDays.forEach((days, index) => {
+        expect(bsToDays(Number(year), index + 1, 1)).toStrictEqual(expected);
+        expected += days;
+      });
+    }
+  });
+
+  it("should find the month on both sides of every month boundary", () => {
+    const mismatches = [];
+    let previous = null;
+    for (const [year, monthDays] of Object.entries(monthDaysInBSYear)) {
+      monthDays.forEach((length, index) => {
+        const start = bsToDays(Number(year), index + 1, 1);
+        if (
+          daysToBS(start).join() !== [Number(year), index + 1, 1].join() ||
+          (previous && daysToBS(start - 1).join() !== previous.join())
+        ) {
+          mismatches.push([Number(year), index + 1]);
+        }
+        previous = [Number(year), index + 1, length];
+      });
+    }
+    expect(mismatches).toStrictEqual([]);
+  });
+});
+
+describe("BS ↔ AD conversion", () => {
+  it("should round-trip every day from 2000/01/01 to 2090/12/30", () => {
+    const first = new BSDate(2000, 1, 1).toAD({ timeZone: "UTC" }).getTime();
+    const mismatches = [];
+    let last = null;
+    let days = 0;
+
+    for (const [year, monthDays] of Object.entries(monthDaysInBSYear)) {
+      monthDays.forEach((length, index) => {
+        for (let day = 1; day <= length; day++) {
+          const bsDate = new BSDate(Number(year), index + 1, day);
+          const adDate = bsDate.toAD({ timeZone: "UTC" });
+          const roundTrip = BSDate.fromAD(bsDate.toAD());
+
+          if (
+            adDate.getTime() !== first + days * DAY ||
+            roundTrip.year !== bsDate.year ||
+            roundTrip.month !== bsDate.month ||
+            roundTrip.day !== bsDate.day
+          ) {
+            mismatches.push([bsDate, adDate, roundTrip]);
+          }
+          last = roundTrip;
+          days++;
+        }
+      });
+    }
+
+    expect(mismatches).toStrictEqual([]);
+    expect(last).toStrictEqual(new BSDate(2090, 12, 30));
+  });
+
+  it("should map every instant of a UTC day to the same BS date", () => {
+    const adDate = new Date("2025-09-10T23:59:59.000Z");
+    expect(BSDate.fromAD(adDate, { timeZone: "UTC" })).toStrictEqual(
+      new BSDate(2082, 5, 25)
+    );
+  });
+});
+
+describe("Calendar data provider", () => {
+  const year2091 = [31, 31, 32, 31, 31, 31, 30, 29, 30, 29, 30, 30];
+
+  afterEach(() => {
+    resetCalendarData();
+  });
+
+  it("should derive the supported range from the built-in data", () => {
+    expect(supportedRange()).toStrictEqual({
+      firstYear: 2000,
+      lastYear: 2090,
+      adStart: new Date("1943-04-14"),
+      adEnd: new Date("2034-04-13"),
+    });
+    expect(calendarData()).toStrictEqual(monthDaysInBSYear);
+  });
+
+  it("should extend the supported range with newly loaded years", () => {
+    expect(() => new BSDate(2091, 1, 1)).toThrow("(2000-2090)");
+
+    loadCalendarData(JSON.parse(JSON.stringify({ 2091: year2091 })));
+
+    expect(lastYear).toBe(2091);
+    expect(new BSDate(2090, 12, 30).addDays(1)).toStrictEqual(
+      new BSDate(2091, 1, 1)
+    );
+    expect(new BSDate(2091, 1, 1).toAD({ timeZone: "UTC" })).toStrictEqual(
+      new Date("2034-04-14")
+    );
+    expect(supportedRange().adEnd).toStrictEqual(new Date("2035-04-13"));
+    expect(adToBS(new Date("2035-04-13T12:00:00Z"))).toStrictEqual(
+      new BSDate(2091, 12, 30)
+    );
+    expect(() => adToBS(new Date("2035-04-14T12:00:00Z"))).toThrow(
+      expect.objectContaining({ max: new Date("2035-04-13") })
+    );
+    expect(() => new BSDate(2092, 1, 1)).toThrow("(2000-2091)");
+  });
+
+  it("should extend the supported range before the epoch", () => {
+    loadCalendarData({ 1999: year2091 });
+
+    expect(firstYear).toBe(1999);
+    expect(bsToDays(1999, 12, 30)).toBe(-1);
+    expect(daysToBS(-365)).toStrictEqual([1999, 1, 1]);
+    expect(new BSDate(2000, 1, 1).addDays(-1)).toStrictEqual(
+      new BSDate(1999, 12, 30)
+    );
+    expect(new BSDate(2000, 1, 1).toAD({ timeZone: "UTC" })).toStrictEqual(
+      new Date("1943-04-14")
+    );
+    expect(supportedRange().adStart).toStrictEqual(new Date("1942-04-14"));
+  });
+
+  it("should apply corrected month lengths to later conversions", () => {
+    const before = new BSDate(2082, 6, 1).toAD({ timeZone: "UTC" });
+    const corrected = [...monthDaysInBSYear[2082]];
+    corrected[3] -= 1;
+    corrected[4] += 1;
+
+    loadCalendarData({ 2082: corrected });
+
+    expect(new BSDate(2082, 5, 32).toAD({ timeZone: "UTC" })).toStrictEqual(
+      new Date(before.getTime() - DAY)
+    );
+    expect(new BSDate(2082, 6, 1).toAD({ timeZone: "UTC" })).toStrictEqual(
+      before
+    );
+    expect(() => new BSDate(2082, 4, 32)).toThrow("(1-31)");
+  });
+
+  it("should replace all loaded data on request", () => {
+    loadCalendarData(
+      { 2000: monthDaysInBSYear[2000], 2001: monthDaysInBSYear[2001] },
+      { replace: true }
+    );
+
+    expect(supportedRange().lastYear).toBe(2001);
+    expect(() => adToBS(new Date("2025-09-10"))).toThrow(DateOutOfRangeError);
+  });
+
+  it("should reject malformed data without changing the loaded data", () => {
+    const cases = [
+      [[2091, year2091], "Calendar data must be an object keyed by BS year"],
+      [{ "20x1": year2091 }, "20x1 is not a BS year"],
+      [{ 2091: year2091.slice(1) }, "Year 2091 must list 12 month lengths"],
+      [
+        { 2091: [33, ...year2091.slice(1)] },
+        "Month 1 of 2091 has 33 days, expected 29-32",
+      ],
+      [
+        { 2091: [30, ...year2091.slice(1)] },
+        "Year 2091 has 364 days, expected 365 or 366",
+      ],
+      [
+        { 2092: year2091 },
+        "Calendar data must cover consecutive years, 2091 is missing",
+      ],
+    ];
+
+    for (const [table, message] of cases) {
+      expect(() => loadCalendarData(table)).toThrow(
+        new CalendarDataError(message)
+      );
+    }
+    expect(() =>
+      loadCalendarData({ 2091: year2091 }, { replace: true })
+    ).toThrow("must include the epoch year 2000");
+    expect(() =>
+      loadCalendarData({ 2091: [30, ...year2091.slice(1)] })
+    ).toThrow(expect.objectContaining({ year: 2091, value: 364 }));
+    expect(supportedRange().lastYear).toBe(2090);
+  });
+});
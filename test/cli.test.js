@@ -0,0 +1,142 @@
+import { run } from "../src/cli.js";
+import { jest } from "@jest/globals";
+
+/**
+ * Runs the CLI with in-memory output streams.
+ */
+function bsdate(...argv) {
+  const output = { stdout: "", stderr: "" };
+  const io = {
+    stdout: { write: (text) => (output.stdout += text) },
+    stderr: { write: (text) => (output.stderr += text) },
+  };
+  return { code: run(argv, io), ...output };
+}
+
+describe("bsdate command", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should convert between AD and BS", () => {
+    expect(bsdate("to-bs", "2025-09-10")).toEqual({
+      code: 0,
+      stdout: "2082-05-25\n",
+      stderr: "",
+    });
+    expect(bsdate("to-ad", "2082-05-25").stdout).toBe("2025-09-10\n");
+  });
+
+  it("should format and print JSON", () => {
+    expect(
+      bsdate("to-bs", "2025-09-10", "--format", "NYYYY/NMM/NDD").stdout
+    ).toBe("२०८२/०५/२५\n");
+    expect(JSON.parse(bsdate("to-ad", "2082-05-25", "--json").stdout)).toEqual({
+      bs: "2082-05-25",
+      ad: "2025-09-10",
+      nepali: "भाद्र २५, २०८२",
+      weekday: "Budhbar",
+    });
+  });
+
+  it("should print today's date in Nepal", () => {
+    // 18:30 UTC is already the next day in Kathmandu
+    jest.useFakeTimers({ now: new Date("2025-09-09T18:30:00Z") });
+
+    expect(bsdate("today").stdout).toBe("2082-05-25\n");
+    expect(bsdate("today", "--time-zone", "UTC").stdout).toBe("2082-05-24\n");
+  });
+
+  it("should print a month calendar", () => {
+    const { code, stdout } = bsdate("cal", "2082-05", "--script", "roman");
+
+    expect(code).toBe(0);
+    expect(stdout.split("\n")).toEqual([
+      "            Bhadra 2082",
+      "  Aai  Som  Man  Bud  Bih  Shu  Sha",
+      "    1    2    3    4    5    6    7",
+      "    8    9   10   11   12   13   14",
+      "   15   16   17   18   19   20   21",
+      "   22   23   24   25   26   27   28",
+      "   29   30   31",
+      "",
+    ]);
+    expect(bsdate("cal", "2082-05").stdout).toContain(
+      "    १    २    ३    ४    ५    ६    ७"
+    );
+  });
+
+  it("should start calendar weeks on the given day", () => {
+    const lines = bsdate(
+      "cal",
+      "2082-05",
+      "--script",
+      "roman",
+      "--week-start",
+      "1"
+    ).stdout.split("\n");
+
+    expect(lines[1]).toBe("  Som  Man  Bud  Bih  Shu  Sha  Aai");
+    expect(lines[2]).toBe("                                  1");
+  });
+
+  it("should print the current month by default", () => {
+    jest.useFakeTimers({ now: new Date("2025-09-10T06:00:00Z") });
+
+    const { weeks } = JSON.parse(bsdate("cal", "--json").stdout);
+    const today = weeks.flat().filter((cell) => cell.isToday);
+    expect(today).toEqual([
+      {
+        bs: "2082-05-25",
+        ad: "2025-09-10",
+        weekday: 3,
+        inMonth: true,
+        isToday: true,
+      },
+    ]);
+  });
+
+  it("should exit with 1 for out-of-range dates", () => {
+    const ad = bsdate("to-bs", "1900-01-01");
+    expect(ad.code).toBe(1);
+    expect(ad.stderr).toBe("bsdate: Date is out of range\n");
+    expect(bsdate("to-bs", "0043-05-01")).toMatchObject({
+      code: 1,
+      stderr: "bsdate: Date is out of range\n",
+    });
+
+    expect(bsdate("to-ad", "2095-01-01").code).toBe(1);
+    expect(bsdate("to-ad", "2082-05-40").code).toBe(1);
+    expect(bsdate("cal", "2091-01").code).toBe(1);
+  });
+
+  it("should exit with 2 for invalid arguments", () => {
+    const invalid = [
+      [],
+      ["frob"],
+      ["to-bs"],
+      ["to-bs", "10/09/2025"],
+      ["to-bs", "2025-02-30"],
+      ["to-ad", "2082-05-25", "--format", "YYYY"],
+      ["today", "--format", "YYYY", "--json"],
+      ["cal", "2082"],
+      ["cal", "2082-05", "--script", "latin"],
+      ["cal", "2082-05", "--week-start", "7"],
+      ["today", "--unknown"],
+    ];
+
+    for (const argv of invalid) {
+      const { code, stdout, stderr } = bsdate(...argv);
+      expect(code).toBe(2);
+      expect(stdout).toBe("");
+      expect(stderr).toMatch(/^bsdate: /);
+    }
+  });
+
+  it("should print usage", () => {
+    const { code, stdout } = bsdate("--help");
+
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^Usage: bsdate <command>/);
+  });
+});
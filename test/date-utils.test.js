@@ -1,20 +1,130 @@
-import { DateOutOfRangeError } from "../src/errors.js";
-import "../src/date-utils.js";
+import { DateOutOfRangeError, BSDateOutOfRangeError } from "../src/errors.js";
+import { adToBS, bsToAD } from "../src/date-utils.js";
 import BSDate from "../src/bs-date.js";
+import BSDateTime from "../src/bs-date-time.js";
+import NepalSambatDate from "../src/nepal-sambat.js";
 
 describe("AD to BS", () => {
-  it("should throw error if date is invalid", () => {
+  it("should convert AD date to BS", () => {
     const date = new Date(1999, 5, 25);
-    expect(date.toBS()).toStrictEqual(new BSDate(2056, 3, 11));
+    expect(adToBS(date)).toStrictEqual(new BSDate(2056, 3, 11));
   });
 
-  it("should throw error if date is invalid", () => {
+  it("should throw error if date is before the supported range", () => {
     const date = new Date(1942, 5, 25);
-    expect(() => date.toBS()).toThrow(DateOutOfRangeError);
+    expect(() => adToBS(date)).toThrow(DateOutOfRangeError);
   });
 
-  it("should throw error if date is invalid", () => {
+  it("should throw error if date is after the supported range", () => {
     const date = new Date(2035, 5, 25);
-    expect(() => date.toBS()).toThrow(DateOutOfRangeError);
+    expect(() => adToBS(date)).toThrow(DateOutOfRangeError);
+  });
+
+  it("should not extend the Date prototype", () => {
+    expect(Date.prototype.toBS).toBeUndefined();
+  });
+});
+
+describe("Nepal time zone boundary", () => {
+  it("should switch BS days at 18:15 UTC", () => {
+    expect(adToBS(new Date("2025-09-09T18:14:59.999Z"))).toStrictEqual(
+      new BSDate(2082, 5, 24)
+    );
+    expect(adToBS(new Date("2025-09-09T18:15:00.000Z"))).toStrictEqual(
+      new BSDate(2082, 5, 25)
+    );
+  });
+
+  it("should convert 23:00 UTC to the next Nepali day", () => {
+    const date = new Date("2025-09-09T23:00:00.000Z");
+    expect(adToBS(date)).toStrictEqual(new BSDate(2082, 5, 25));
+    expect(adToBS(date, { timeZone: "UTC" })).toStrictEqual(
+      new BSDate(2082, 5, 24)
+    );
+  });
+
+  it("should use UTC+05:30 before 1986", () => {
+    expect(adToBS(new Date("1985-12-31T18:29:59.999Z"))).toStrictEqual(
+      adToBS(new Date("1985-12-31T12:00:00.000Z"))
+    );
+    expect(adToBS(new Date("1985-12-31T18:30:00.000Z"))).toStrictEqual(
+      adToBS(new Date("1986-01-01T12:00:00.000Z"))
+    );
+  });
+
+  it("should check the supported range by Nepali calendar day", () => {
+    expect(adToBS(new Date("1943-04-13T18:30:00.000Z"))).toStrictEqual(
+      new BSDate(2000, 1, 1)
+    );
+    expect(() => adToBS(new Date("1943-04-13T18:29:59.999Z"))).toThrow(
+      DateOutOfRangeError
+    );
+  });
+
+  it("should return today's BS date", () => {
+    expect(BSDate.today()).toStrictEqual(adToBS(new Date()));
+    expect(BSDate.today({ timeZone: "UTC" })).toStrictEqual(
+      adToBS(new Date(), { timeZone: "UTC" })
+    );
+  });
+
+  it("should reject unknown time zones", () => {
+    expect(() => adToBS(new Date(), { timeZone: "Mars/Olympus" })).toThrow(
+      RangeError
+    );
+  });
+});
+
+describe("BS to AD", () => {
+  it("should convert BS date components to AD", () => {
+    expect(bsToAD(2082, 5, 25)).toStrictEqual(
+      new Date("2025-09-09T18:15:00.000Z")
+    );
+    expect(bsToAD(2082, 5, 25, { timeZone: "UTC" })).toStrictEqual(
+      new Date("2025-09-10T00:00:00.000Z")
+    );
+  });
+
+  it("should throw error if BS date is invalid", () => {
+    expect(() => bsToAD(2082, 13, 1)).toThrow(BSDateOutOfRangeError);
+  });
+});
+
+describe("DateOutOfRangeError", () => {
+  it("should describe the rejected date", () => {
+    const date = new Date(1942, 5, 25);
+    expect(() => adToBS(date)).toThrow(
+      expect.objectContaining({
+        field: "date",
+        value: date,
+        min: new Date("1943-04-14"),
+        max: new Date("2034-04-13"),
+      })
+    );
+  });
+
+  it("should be thrown by the fromAD factories", () => {
+    const date = new Date("2035-01-01T00:00:00Z");
+    for (const Type of [BSDate, BSDateTime, NepalSambatDate]) {
+      expect(() => Type.fromAD(date)).toThrow(
+        expect.objectContaining({ name: "DateOutOfRangeError", value: date })
+      );
+    }
+  });
+
+  it("should reject years 0-99 instead of reading them as 1900-1999", () => {
+    const date = new Date(0);
+    date.setUTCFullYear(43, 4, 1);
+    expect(() => BSDate.fromAD(date, { timeZone: "UTC" })).toThrow(
+      DateOutOfRangeError
+    );
+  });
+
+  it("should reject invalid dates", () => {
+    const date = new Date("not a date");
+    expect(() => BSDate.fromAD(date)).toThrow(DateOutOfRangeError);
+    expect(() => adToBS(date)).toThrow(
+      expect.objectContaining({ field: "date", value: date })
+    );
   });
 });
@@ -0,0 +1,121 @@
+import BSDate from "../src/bs-date.js";
+import { extractDates } from "../src/extract.js";
+
+/**
+ * Summarizes matches as [text, date, calendar, confidence].
+ */
+function summary(text) {
+  return BSDate.extract(text).map(({ text, date, calendar, confidence }) => [
+    text,
+    date.toString(),
+    calendar,
+    confidence,
+  ]);
+}
+
+describe("Date extraction", () => {
+  it("should find dates written with साल and गते", () => {
+    const text = "मिति २०८२ साल भाद्र २५ गते बुधबार को सूचना";
+    const [match] = BSDate.extract(text);
+
+    expect(match).toEqual({
+      start: 5,
+      end: 33,
+      text: "२०८२ साल भाद्र २५ गते बुधबार",
+      date: new BSDate(2082, 5, 25),
+      calendar: "bs",
+      confidence: 1,
+    });
+    expect(text.slice(match.start, match.end)).toBe(match.text);
+  });
+
+  it("should find named months in either order and script", () => {
+    expect(summary("Bhadra 25, 2082 र २५ भाद्र २०८२ र 2082 Bhadra 25")).toEqual(
+      [
+        ["Bhadra 25, 2082", "2082-05-25", "bs", 0.8],
+        ["२५ भाद्र २०८२", "2082-05-25", "bs", 0.8],
+        ["2082 Bhadra 25", "2082-05-25", "bs", 0.8],
+      ]
+    );
+  });
+
+  it("should recognize spelling variants of months", () => {
+    const variants = [
+      ["वैशाख १, २०८२", "2082-01-01"],
+      ["बैशाख १, २०८२", "2082-01-01"],
+      ["Baishakh 1, 2082", "2082-01-01"],
+      ["Shrawan 10, 2082", "2082-04-10"],
+      ["Saun 10, 2082", "2082-04-10"],
+      ["साउन १० गते २०८२", "2082-04-10"],
+      ["भदौ २५, २०८२", "2082-05-25"],
+      ["Asoj 3, 2082", "2082-06-03"],
+      ["PHAGUN 7, 2082", "2082-11-07"],
+      ["चैत्र १, २०८२", "2082-12-01"],
+    ];
+
+    for (const [text, expected] of variants) {
+      expect(BSDate.extract(text).map(({ date }) => date.toString())).toEqual([
+        expected,
+      ]);
+    }
+  });
+
+  it("should not match month names inside other words", () => {
+    expect(summary("Maghe Sankranti 1, 2082")).toEqual([]);
+  });
+
+  it("should score numeric dates lower than named ones", () => {
+    expect(summary("पत्र २०८२/०५/२५ र 2082-05-25 र 25/05/2082")).toEqual([
+      ["२०८२/०५/२५", "2082-05-25", "bs", 0.7],
+      ["2082-05-25", "2082-05-25", "bs", 0.6],
+      ["25/05/2082", "2082-05-25", "bs", 0.5],
+    ]);
+  });
+
+  it("should use calendar labels", () => {
+    expect(
+      summary("वि.सं. २०८२-०५-२५ अर्थात् ई.सं. २०२५/०९/१० (2025-09-10 AD)")
+    ).toEqual([
+      ["वि.सं. २०८२-०५-२५", "2082-05-25", "bs", 1],
+      ["ई.सं. २०२५/०९/१०", "2082-05-25", "ad", 1],
+      ["2025-09-10 AD", "2082-05-25", "ad", 1],
+    ]);
+    expect(summary("सन् 2025-09-10")).toEqual([
+      ["सन् 2025-09-10", "2082-05-25", "ad", 1],
+    ]);
+  });
+
+  it("should match Latin labels case-sensitively", () => {
+    expect(summary("The ad 2025-09-10 ran")).toEqual([
+      ["2025-09-10", "2025-09-10", "bs", 0.6],
+    ]);
+    expect(summary("B.S. 2082-05-25 or bhadra 25 GATE 2082")).toEqual([
+      ["B.S. 2082-05-25", "2082-05-25", "bs", 1],
+      ["bhadra 25 GATE 2082", "2082-05-25", "bs", 1],
+    ]);
+  });
+
+  it("should weigh the weekday against the date", () => {
+    // Bhadra 25, 2082 is a Wednesday
+    expect(summary("बुधबार, भाद्र २५, २०८२")).toEqual([
+      ["बुधबार, भाद्र २५, २०८२", "2082-05-25", "bs", 0.9],
+    ]);
+    expect(summary("Sombar, Bhadra 25, 2082")).toEqual([
+      ["Sombar, Bhadra 25, 2082", "2082-05-25", "bs", 0.4],
+    ]);
+  });
+
+  it("should skip dates that do not exist or are out of range", () => {
+    expect(
+      summary(
+        "2082-05-40, भाद्र ३२, २०८२, 2099-01-01, 2025-02-30 AD, 0043-05-01 AD, Magh 1 AD 2082"
+      )
+    ).toEqual([]);
+  });
+
+  it("should return nothing for text without dates", () => {
+    expect(extractDates("")).toEqual([]);
+    expect(extractDates("फोन ९८४१२३४५६७, कोठा नं. १२")).toEqual([]);
+    expect(() => extractDates(null)).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,99 @@
+import BSDate from "../src/bs-date.js";
+import { BSDateOutOfRangeError } from "../src/errors.js";
+
+describe("BSDate#format", () => {
+  const bsDate = new BSDate(2082, 5, 7);
+
+  it("should default to an ISO-like pattern", () => {
+    expect(bsDate.format()).toStrictEqual("2082-05-07");
+  });
+
+  it("should format numeric tokens", () => {
+    expect(bsDate.format("YY/M/D")).toStrictEqual("82/5/7");
+    expect(bsDate.format("DD.MM.YYYY")).toStrictEqual("07.05.2082");
+  });
+
+  it("should format numeric tokens in Nepali digits", () => {
+    expect(bsDate.format("NYYYY/NMM/NDD")).toStrictEqual("२०८२/०५/०७");
+    expect(bsDate.format("NYY-NM-ND")).toStrictEqual("८२-५-७");
+  });
+
+  it("should format romanized and Devanagari names", () => {
+    expect(bsDate.format("dddd, MMMM D, YYYY")).toStrictEqual(
+      "Shanibar, Bhadra 7, 2082"
+    );
+    expect(bsDate.format("Ndddd, NMMMM ND, NYYYY")).toStrictEqual(
+      "शनिवार, भाद्र ७, २०८२"
+    );
+  });
+
+  it("should emit bracketed text literally", () => {
+    expect(bsDate.format("NYYYY [साल] NMMMM ND [गते]")).toStrictEqual(
+      "२०८२ साल भाद्र ७ गते"
+    );
+    expect(bsDate.format("[YYYY] YYYY")).toStrictEqual("YYYY 2082");
+  });
+});
+
+describe("BSDate.parse", () => {
+  it("should parse the default pattern", () => {
+    expect(BSDate.parse("2082-05-25")).toStrictEqual(new BSDate(2082, 5, 25));
+  });
+
+  it("should parse Devanagari digits", () => {
+    expect(BSDate.parse("२०८२/०५/२५", "YYYY/MM/DD")).toStrictEqual(
+      new BSDate(2082, 5, 25)
+    );
+    expect(BSDate.parse("२०८२/५/२५", "NYYYY/NM/ND")).toStrictEqual(
+      new BSDate(2082, 5, 25)
+    );
+  });
+
+  it("should parse Devanagari and romanized month names", () => {
+    expect(BSDate.parse("भाद्र २५, २०८२", "MMMM D, YYYY")).toStrictEqual(
+      new BSDate(2082, 5, 25)
+    );
+    expect(BSDate.parse("chaitra 30, 2081", "MMMM D, YYYY")).toStrictEqual(
+      new BSDate(2081, 12, 30)
+    );
+  });
+
+  it("should ignore weekday names and bracketed literals", () => {
+    expect(
+      BSDate.parse(
+        "बुधबार, २०८२ साल भाद्र २५ गते",
+        "dddd, YYYY [साल] MMMM D [गते]"
+      )
+    ).toStrictEqual(new BSDate(2082, 5, 25));
+  });
+
+  it("should parse two-digit years in the 2000s", () => {
+    expect(BSDate.parse("82-05-25", "YY-MM-DD")).toStrictEqual(
+      new BSDate(2082, 5, 25)
+    );
+  });
+
+  it("should round-trip formatted dates", () => {
+    const bsDate = new BSDate(2081, 9, 3);
+    const pattern = "Ndddd NMMMM ND, NYYYY";
+    expect(BSDate.parse(bsDate.format(pattern), pattern)).toStrictEqual(bsDate);
+  });
+
+  it("should throw error if the string does not match the pattern", () => {
+    expect(() => BSDate.parse("2082/05/25")).toThrow(Error);
+    expect(() => BSDate.parse("Bhadro 25, 2082", "MMMM D, YYYY")).toThrow(
+      Error
+    );
+  });
+
+  it("should throw error if the pattern is incomplete", () => {
+    expect(() => BSDate.parse("2082-05", "YYYY-MM")).toThrow(Error);
+  });
+
+  it("should throw error for impossible dates", () => {
+    expect(() => BSDate.parse("2082-13-01")).toThrow(BSDateOutOfRangeError);
+    expect(() => BSDate.parse("2082-05-00")).toThrow(BSDateOutOfRangeError);
+    expect(() => BSDate.parse("2082-09-30")).toThrow(BSDateOutOfRangeError);
+    expect(() => BSDate.parse("2091-01-01")).toThrow(BSDateOutOfRangeError);
+  });
+});
@@ -0,0 +1,138 @@
+import BSDate from "../src/bs-date.js";
+import { BSDateOutOfRangeError } from "../src/errors.js";
+import { nationalHolidays, registerHolidays } from "../src/holidays.js";
+
+const dashain2082 = {
+  2082: [
+    {
+      month: 6,
+      day: 6,
+      name: "घटस्थापना",
+      englishName: "Ghatasthapana",
+      type: "festival",
+    },
+    {
+      month: 6,
+      day: 16,
+      name: "विजया दशमी",
+      englishName: "Vijaya Dashami",
+      type: "festival",
+    },
+  ],
+};
+
+describe("National holidays", () => {
+  it("should recognise fixed-date national holidays in every year", () => {
+    for (const year of [2000, 2082, 2090]) {
+      expect(new BSDate(year, 6, 3).holidays()).toStrictEqual([
+        {
+          name: "संविधान दिवस",
+          englishName: "Constitution Day",
+          type: "national",
+        },
+      ]);
+    }
+    expect(new BSDate(2082, 1, 11).isHoliday()).toBe(true);
+    expect(new BSDate(2082, 6, 4).isHoliday()).toBe(false);
+    expect(new BSDate(2082, 6, 4).holidays()).toStrictEqual([]);
+  });
+
+  it("should expose the built-in national holidays", () => {
+    expect(nationalHolidays).toHaveLength(8);
+    expect(Object.isFrozen(nationalHolidays)).toBe(true);
+    expect(nationalHolidays.every(({ type }) => type === "national")).toBe(
+      true
+    );
+  });
+
+  it("should list the holidays of a month", () => {
+    expect(BSDate.holidaysIn(2082, 10)).toStrictEqual([
+      {
+        date: new BSDate(2082, 10, 1),
+        name: "माघे संक्रान्ति",
+        englishName: "Maghe Sankranti",
+        type: "national",
+      },
+      {
+        date: new BSDate(2082, 10, 16),
+        name: "शहीद दिवस",
+        englishName: "Martyrs' Day",
+        type: "national",
+      },
+    ]);
+    expect(BSDate.holidaysIn(2082, 3)).toStrictEqual([]);
+    expect(() => BSDate.holidaysIn(2082, 13)).toThrow(BSDateOutOfRangeError);
+  });
+});
+
+describe("Registered holidays", () => {
+  it("should register per-year festival tables", () => {
+    const unregister = registerHolidays(dashain2082);
+
+    expect(new BSDate(2082, 6, 16).holidays()).toStrictEqual([
+      { name: "विजया दशमी", englishName: "Vijaya Dashami", type: "festival" },
+    ]);
+    expect(new BSDate(2081, 6, 16).isHoliday()).toBe(false);
+    expect(
+      BSDate.holidaysIn(2082, 6).map(({ date, englishName }) => [
+        date.day,
+        englishName,
+      ])
+    ).toStrictEqual([
+      [3, "Constitution Day"],
+      [6, "Ghatasthapana"],
+      [16, "Vijaya Dashami"],
+    ]);
+
+    unregister();
+    expect(new BSDate(2082, 6, 16).isHoliday()).toBe(false);
+  });
+
+  it("should register recurring organisation days off", () => {
+    const unregister = registerHolidays([
+      { month: 6, day: 3, name: "वार्षिकोत्सव", englishName: "Foundation Day" },
+    ]);
+
+    expect(
+      new BSDate(2082, 6, 3)
+        .holidays()
+        .map(({ englishName, type }) => [englishName, type])
+    ).toStrictEqual([
+      ["Constitution Day", "national"],
+      ["Foundation Day", "custom"],
+    ]);
+
+    unregister();
+    expect(new BSDate(2082, 6, 3).holidays()).toHaveLength(1);
+  });
+
+  it("should default the English name to the Nepali name", () => {
+    const unregister = registerHolidays([
+      { year: 2082, month: 4, day: 1, name: "बिदा" },
+    ]);
+
+    expect(new BSDate(2082, 4, 1).holidays()).toStrictEqual([
+      { name: "बिदा", englishName: "बिदा", type: "custom" },
+    ]);
+    unregister();
+  });
+
+  it("should validate entries before registering any of them", () => {
+    expect(() =>
+      registerHolidays([
+        { year: 2082, month: 4, day: 1, name: "बिदा" },
+        { year: 2082, month: 9, day: 30, name: "बिदा" },
+      ])
+    ).toThrow(BSDateOutOfRangeError);
+    expect(new BSDate(2082, 4, 1).isHoliday()).toBe(false);
+
+    expect(() =>
+      registerHolidays([{ month: 13, day: 1, name: "बिदा" }])
+    ).toThrow(
+      expect.objectContaining({ field: "month", value: 13, min: 1, max: 12 })
+    );
+    expect(() => registerHolidays([{ month: 4, day: 1 }])).toThrow(
+      "Holiday name is required"
+    );
+  });
+});
@@ -0,0 +1,139 @@
+import BSDate from "../src/bs-date.js";
+import BSDateTime from "../src/bs-date-time.js";
+import { availableLocales, getLocale, registerLocale } from "../src/locales.js";
+
+const bhadra25 = new BSDate(2082, 5, 25);
+
+describe("Locale registry", () => {
+  it("should ship the built-in packs", () => {
+    expect(availableLocales()).toStrictEqual([
+      "ne",
+      "en",
+      "ne-Latn",
+      "ne-Latn-iast",
+    ]);
+    expect(getLocale("ne").months[4]).toBe("भाद्र");
+    expect(getLocale("NE-latn").code).toBe("ne-Latn");
+    expect(Object.isFrozen(getLocale("en").weekdays)).toBe(true);
+  });
+
+  it("should reject unknown locales", () => {
+    expect(() => getLocale("fr")).toThrow(RangeError);
+    expect(() => bhadra25.monthName({ locale: "fr" })).toThrow(RangeError);
+    expect(() => bhadra25.format("MMMM", { locale: "fr" })).toThrow(RangeError);
+  });
+
+  it("should register packs that inherit from a base pack", () => {
+    const unregister = registerLocale("mai", {
+      base: "ne",
+      weekdays: ["रवि", "सोम", "मंगल", "बुध", "बृहस्पति", "शुक्र", "शनि"],
+    });
+    try {
+      expect(bhadra25.dayName({ locale: "mai" })).toBe("बुध");
+      expect(bhadra25.monthName({ locale: "mai" })).toBe("भाद्र");
+      expect(bhadra25.toLocaleDateString("mai")).toBe("भाद्र २५, २०८२");
+    } finally {
+      unregister();
+    }
+    expect(availableLocales()).not.toContain("mai");
+  });
+
+  it("should restore a replaced pack when unregistered", () => {
+    const unregister = registerLocale("en", {
+      base: "en",
+      dateFormat: "MMMM D, YYYY",
+    });
+    expect(bhadra25.toLocaleDateString("en")).toBe("Bhadra 25, 2082");
+    unregister();
+    expect(bhadra25.toLocaleDateString("en")).toBe("25 Bhadra 2082");
+  });
+
+  it("should validate packs", () => {
+    expect(() => registerLocale("", { base: "ne" })).toThrow(TypeError);
+    expect(() =>
+      registerLocale("xx", { base: "ne", months: ["Baisakh"] })
+    ).toThrow(TypeError);
+    expect(() => registerLocale("xx", { base: "ne", dateFormat: "" })).toThrow(
+      TypeError
+    );
+    expect(() => registerLocale("xx", { months: [] })).toThrow(TypeError);
+    expect(() => registerLocale("xx", { base: "fr" })).toThrow(RangeError);
+    expect(availableLocales()).not.toContain("xx");
+  });
+});
+
+describe("Locale-aware names", () => {
+  it("should name months and weekdays in each built-in locale", () => {
+    expect(bhadra25.monthName({ locale: "en" })).toBe("Bhadra");
+    expect(new BSDate(2082, 2, 1).monthName({ locale: "en" })).toBe("Jestha");
+    expect(bhadra25.monthName({ locale: "ne-Latn-iast" })).toBe("Bhādra");
+    expect(bhadra25.dayName({ locale: "ne-Latn-iast" })).toBe("Budhabāra");
+    expect(bhadra25.dayName({ locale: "en" })).toBe("Wednesday");
+  });
+
+  it("should give abbreviated names", () => {
+    expect(bhadra25.monthName({ short: true })).toBe("भा");
+    expect(bhadra25.monthName({ romanized: true, short: true })).toBe("Bha");
+    expect(bhadra25.dayName({ short: true })).toBe("बुध");
+    expect(bhadra25.dayName({ localized: true, short: true })).toBe("Wed");
+  });
+
+  it("should reject conflicting name options", () => {
+    expect(() => bhadra25.monthName({ romanized: true, locale: "en" })).toThrow(
+      Error
+    );
+    expect(() => bhadra25.dayName({ localized: true, locale: "en" })).toThrow(
+      Error
+    );
+  });
+});
+
+describe("Locale-aware formatting", () => {
+  it("should format with a locale's names and digits", () => {
+    expect(bhadra25.format("dddd, MMMM D, YYYY", { locale: "ne" })).toBe(
+      "बुधबार, भाद्र २५, २०८२"
+    );
+    expect(bhadra25.format("ddd, D MMM YYYY", { locale: "en" })).toBe(
+      "Wed, 25 Bha 2082"
+    );
+    expect(bhadra25.format("ddd MMM")).toBe("Bud Bha");
+    expect(bhadra25.format("Nddd NMMM", { locale: "en" })).toBe("बुध भा");
+  });
+
+  it("should order dates by the locale's date format", () => {
+    expect(bhadra25.toLocaleDateString()).toBe("भाद्र २५, २०८२");
+    expect(bhadra25.toLocaleDateString("en")).toBe("25 Bhadra 2082");
+    expect(bhadra25.toLocaleDateString("ne-Latn")).toBe("Bhadra 25, 2082");
+    expect(bhadra25.toNepali()).toBe("भाद्र २५, २०८२");
+  });
+
+  it("should format times with a locale's meridiems", () => {
+    const dateTime = new BSDateTime(2082, 5, 25, 14, 5);
+    expect(dateTime.format("h:mm A", { locale: "ne" })).toBe("२:०५ अपराह्न");
+    expect(dateTime.format("h:mm A", { locale: "ne-Latn-iast" })).toBe(
+      "2:05 aparāhna"
+    );
+  });
+
+  it("should parse names from a given locale", () => {
+    expect(
+      BSDate.parse("25 Bhādra 2082", "D MMMM YYYY", {
+        locale: "ne-Latn-iast",
+      }).equals(bhadra25)
+    ).toBe(true);
+    expect(
+      BSDate.parse("Wed, 25 Bha 2082", "ddd, D MMM YYYY", {
+        locale: "en",
+      }).equals(bhadra25)
+    ).toBe(true);
+    expect(BSDate.parse("२५ भा २०८२", "D MMM YYYY").equals(bhadra25)).toBe(
+      true
+    );
+    expect(() => BSDate.parse("25 Bhādra 2082", "D MMMM YYYY")).toThrow(Error);
+    expect(
+      BSDateTime.parse("2082-05-25 2:05 aparāhna", "YYYY-MM-DD h:mm A", {
+        locale: "ne-Latn-iast",
+      }).hours
+    ).toBe(14);
+  });
+});
@@ -0,0 +1,105 @@
+import BSDate from "../src/bs-date.js";
+import NepalSambatDate from "../src/nepal-sambat.js";
+
+describe("NepalSambatDate", () => {
+  it("should begin the year with Kachhalā on Mha Puja", () => {
+    const mhaPuja = new BSDate(2082, 7, 6).toNepalSambat();
+    expect(mhaPuja).toMatchObject({
+      year: 1146,
+      month: 1,
+      leap: false,
+      paksha: "shukla",
+      day: 1,
+    });
+    expect(mhaPuja.format()).toBe("ने.सं. ११४६ कछला थ्व पारु");
+    expect(mhaPuja.format({ script: "roman" })).toBe(
+      "NS 1146 Kachhalā Thwa Pāru"
+    );
+
+    expect(String(new BSDate(2082, 7, 5).toNepalSambat())).toBe(
+      "NS 1145 Kaulā Gā Āmāi"
+    );
+    expect(String(new BSDate(2080, 7, 28).toNepalSambat())).toBe(
+      "NS 1144 Kachhalā Thwa Pāru"
+    );
+  });
+
+  it("should name the lunar months of festivals", () => {
+    const cases = [
+      // Swanya Punhi (Buddha Jayanti)
+      [new BSDate(2082, 1, 29), "NS 1145 Bachhalā Thwa Punhi"],
+      // Gunhu Punhi (Janai Purnima)
+      [new BSDate(2082, 4, 25), "NS 1145 Gunlā Thwa Punhi"],
+      // Yenya Punhi (Indra Jatra)
+      [new BSDate(2082, 5, 22), "NS 1145 Yanlā Thwa Punhi"],
+      // Vijaya Dashami
+      [new BSDate(2082, 6, 16), "NS 1145 Kaulā Thwa Dashamī"],
+    ];
+    for (const [date, expected] of cases) {
+      expect(date.toNepalSambat().toString()).toBe(expected);
+    }
+  });
+
+  it("should recognise leap months", () => {
+    // Adhik Shrawan, 2023-07-18 to 2023-08-16
+    expect(String(new BSDate(2080, 4, 1).toNepalSambat())).toBe(
+      "NS 1143 Dillā Gā Āmāi"
+    );
+    const leapMonth = new BSDate(2080, 4, 2).toNepalSambat();
+    expect(leapMonth).toMatchObject({ year: 1143, month: 10, leap: true });
+    expect(leapMonth.monthName()).toBe("अनला");
+    expect(String(new BSDate(2080, 4, 31).toNepalSambat())).toBe(
+      "NS 1143 Analā Gā Āmāi"
+    );
+    expect(String(new BSDate(2080, 4, 32).toNepalSambat())).toBe(
+      "NS 1143 Gunlā Thwa Pāru"
+    );
+    // Adhik Jestha 2026
+    expect(new BSDate(2083, 2, 6).toNepalSambat()).toMatchObject({
+      month: 8,
+      leap: true,
+    });
+  });
+
+  it("should keep the year across the turn of the AD year", () => {
+    expect(
+      NepalSambatDate.fromAD(new Date("2026-01-01T06:00:00Z"))
+    ).toMatchObject({ year: 1146, month: 3 });
+  });
+
+  it("should convert from AD dates and back", () => {
+    const date = NepalSambatDate.fromAD(new Date("2025-10-22T06:00:00Z"));
+    expect(date.toBSDate().equals(new BSDate(2082, 7, 6))).toBe(true);
+    expect(date.toAD({ timeZone: "UTC" })).toStrictEqual(
+      new Date("2025-10-22T00:00:00Z")
+    );
+    expect(date.equals(NepalSambatDate.fromBS(new BSDate(2082, 7, 6)))).toBe(
+      true
+    );
+    expect(date.equals(new BSDate(2082, 7, 7).toNepalSambat())).toBe(false);
+    expect(JSON.stringify({ date })).toBe(
+      '{"date":"NS 1146 Kachhalā Thwa Pāru"}'
+    );
+  });
+
+  it("should name months, pakshas and tithis in both scripts", () => {
+    const date = new BSDate(2082, 5, 22).toNepalSambat();
+    expect(date.monthName()).toBe("ञला");
+    expect(date.pakshaName()).toBe("थ्व");
+    expect(date.tithiName()).toBe("पुन्हि");
+    expect(date.format()).toBe("ने.सं. ११४५ ञला थ्व पुन्हि");
+    expect(date.pakshaName({ script: "roman" })).toBe("Thwa");
+  });
+
+  it("should be frozen", () => {
+    const date = new BSDate(2082, 7, 6).toNepalSambat();
+    expect(Object.isFrozen(date)).toBe(true);
+  });
+
+  it("should reject invalid input", () => {
+    expect(() => new NepalSambatDate(new Date())).toThrow(TypeError);
+    expect(() =>
+      new BSDate(2082, 7, 6).toNepalSambat().format({ script: "newa" })
+    ).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,93 @@
+import { toNepaliDigits, fromNepaliDigits } from "../src/number-utils.js";
+
+describe("toNepaliDigits", () => {
+  it("should convert numbers to Nepali digits", () => {
+    expect(toNepaliDigits(0)).toStrictEqual("०");
+    expect(toNepaliDigits(123)).toStrictEqual("१२३");
+    expect(toNepaliDigits(2082)).toStrictEqual("२०८२");
+  });
+
+  it("should keep signs and decimal points", () => {
+    expect(toNepaliDigits(-5)).toStrictEqual("-५");
+    expect(toNepaliDigits(1.5)).toStrictEqual("१.५");
+    expect(toNepaliDigits(-0.25)).toStrictEqual("-०.२५");
+    expect(toNepaliDigits(-0)).toStrictEqual("०");
+  });
+
+  it("should expand exponent notation", () => {
+    expect(toNepaliDigits(1e21)).toStrictEqual("१" + "०".repeat(21));
+    expect(toNepaliDigits(1.5e-7)).toStrictEqual("०.००००००१५");
+    expect(toNepaliDigits("2.5E3")).toStrictEqual("२५००");
+    expect(toNepaliDigits(12345678901234567890n)).toStrictEqual(
+      "१२३४५६७८९०१२३४५६७८९०"
+    );
+  });
+
+  it("should convert numeric strings as written", () => {
+    expect(toNepaliDigits("1250.50")).toStrictEqual("१२५०.५०");
+    expect(toNepaliDigits(" +07 ")).toStrictEqual("+०७");
+    expect(toNepaliDigits("१२३")).toStrictEqual("१२३");
+  });
+
+  it("should group digits into lakhs and crores", () => {
+    const grouping = { grouping: true };
+
+    expect(toNepaliDigits(999, grouping)).toStrictEqual("९९९");
+    expect(toNepaliDigits(1000, grouping)).toStrictEqual("१,०००");
+    expect(toNepaliDigits(1234567, grouping)).toStrictEqual("१२,३४,५६७");
+    expect(toNepaliDigits(-12345678.9, grouping)).toStrictEqual(
+      "-१,२३,४५,६७८.९"
+    );
+    expect(toNepaliDigits("1,234,567.50", grouping)).toStrictEqual(
+      "१२,३४,५६७.५०"
+    );
+  });
+
+  it("should reject values that are not numbers", () => {
+    expect(() => toNepaliDigits(NaN)).toThrow(RangeError);
+    expect(() => toNepaliDigits(Infinity)).toThrow(RangeError);
+    for (const value of ["abc", "", ".", "1e", "1-2", null, undefined, {}]) {
+      expect(() => toNepaliDigits(value)).toThrow(TypeError);
+    }
+  });
+
+  it("should not extend the Number prototype", () => {
+    expect(Number.prototype.toNepali).toBeUndefined();
+  });
+});
+
+describe("fromNepaliDigits", () => {
+  it("should convert Nepali digits to numbers", () => {
+    expect(fromNepaliDigits("०")).toStrictEqual(0);
+    expect(fromNepaliDigits("२०८२")).toStrictEqual(2082);
+    expect(fromNepaliDigits("०५")).toStrictEqual(5);
+  });
+
+  it("should parse signs, decimals, grouping and exponents", () => {
+    expect(fromNepaliDigits("-१.५")).toStrictEqual(-1.5);
+    expect(fromNepaliDigits("+.५")).toStrictEqual(0.5);
+    expect(fromNepaliDigits("१२,३४,५६७")).toStrictEqual(1234567);
+    expect(fromNepaliDigits("१.५e३")).toStrictEqual(1500);
+    expect(fromNepaliDigits(" २०८२ ")).toStrictEqual(2082);
+  });
+
+  it("should accept Arabic and mixed digits", () => {
+    expect(fromNepaliDigits("2082")).toStrictEqual(2082);
+    expect(fromNepaliDigits("२0८2")).toStrictEqual(2082);
+  });
+
+  it("should round-trip toNepaliDigits", () => {
+    for (const value of [0, -5, 1.5, 1234567.89, 1e21, 1.5e-7]) {
+      expect(fromNepaliDigits(toNepaliDigits(value))).toStrictEqual(value);
+      expect(
+        fromNepaliDigits(toNepaliDigits(value, { grouping: true }))
+      ).toStrictEqual(value);
+    }
+  });
+
+  it("should reject text that is not a numeral", () => {
+    for (const text of ["", "abc", "१२क", "१-२", 2082]) {
+      expect(() => fromNepaliDigits(text)).toThrow(TypeError);
+    }
+  });
+});
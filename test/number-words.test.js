@@ -0,0 +1,69 @@
+import { toNepaliWords } from "../src/number-words.js";
+
+describe("toNepaliWords", () => {
+  it("should spell the irregular forms from 0 to 99", () => {
+    expect(toNepaliWords(0)).toStrictEqual("शून्य");
+    expect(toNepaliWords(19)).toStrictEqual("उन्नाइस");
+    expect(toNepaliWords(25)).toStrictEqual("पच्चीस");
+    expect(toNepaliWords(59)).toStrictEqual("उनन्साठी");
+    expect(toNepaliWords(82)).toStrictEqual("बयासी");
+    expect(toNepaliWords(99)).toStrictEqual("उनान्सय");
+  });
+
+  it("should have a distinct word for every number below 100", () => {
+    for (const script of ["devanagari", "roman"]) {
+      const words = Array.from({ length: 100 }, (_, n) =>
+        toNepaliWords(n, { script })
+      );
+      expect(new Set(words).size).toBe(100);
+      expect(words.every((word) => !word.includes(" "))).toBe(true);
+    }
+  });
+
+  it("should spell hundreds, thousands, lakhs, crores and arabs", () => {
+    expect(toNepaliWords(100)).toStrictEqual("एक सय");
+    expect(toNepaliWords(105)).toStrictEqual("एक सय पाँच");
+    expect(toNepaliWords(2082)).toStrictEqual("दुई हजार बयासी");
+    expect(toNepaliWords(100000)).toStrictEqual("एक लाख");
+    expect(toNepaliWords(1234567)).toStrictEqual(
+      "बाह्र लाख चौंतीस हजार पाँच सय सतसट्ठी"
+    );
+    expect(toNepaliWords(12345678)).toStrictEqual(
+      "एक करोड तेइस लाख पैंतालीस हजार छ सय अठहत्तर"
+    );
+    expect(toNepaliWords(2000000010)).toStrictEqual("दुई अर्ब दश");
+  });
+
+  it("should spell counts of arabs above 99", () => {
+    expect(toNepaliWords(123456789012)).toStrictEqual(
+      "एक सय तेइस अर्ब पैंतालीस करोड सतसट्ठी लाख उनान्नब्बे हजार बाह्र"
+    );
+    expect(toNepaliWords(10n ** 15n)).toStrictEqual("दश लाख अर्ब");
+  });
+
+  it("should spell numbers in romanized script", () => {
+    expect(toNepaliWords(2082, { script: "roman" })).toStrictEqual(
+      "dui hajar bayasi"
+    );
+    expect(toNepaliWords(12345678, { script: "roman" })).toStrictEqual(
+      "ek karod teis lakh paintalis hajar chha saya athahattar"
+    );
+  });
+
+  it("should spell negative numbers and numeral strings", () => {
+    expect(toNepaliWords(-5)).toStrictEqual("ऋण पाँच");
+    expect(toNepaliWords(-5, { script: "roman" })).toStrictEqual("rin panch");
+    expect(toNepaliWords("२५")).toStrictEqual("पच्चीस");
+    expect(toNepaliWords("1,00,000")).toStrictEqual("एक लाख");
+  });
+
+  it("should reject non-integers and unknown scripts", () => {
+    expect(() => toNepaliWords(1.5)).toThrow(RangeError);
+    expect(() => toNepaliWords(NaN)).toThrow(RangeError);
+    expect(() => toNepaliWords(2 ** 53)).toThrow(RangeError);
+    expect(() => toNepaliWords("abc")).toThrow(TypeError);
+    expect(() => toNepaliWords(5, { script: "latin" })).toThrow(
+      'Unsupported script "latin"'
+    );
+  });
+});
@@ -0,0 +1,18 @@
+import "../src/register.js";
+import BSDate, { DateOutOfRangeError } from "../src/bs-date.js";
+
+describe("Prototype extensions", () => {
+  it("should add toNepali to numbers", () => {
+    expect((2082).toNepali()).toStrictEqual("२०८२");
+    expect((0).toNepali()).toStrictEqual("०");
+    expect((-1.5).toNepali()).toStrictEqual("-१.५");
+    expect((1234567).toNepali({ grouping: true })).toStrictEqual("१२,३४,५६७");
+  });
+
+  it("should add toBS to dates", () => {
+    expect(new Date("2025-09-10").toBS()).toStrictEqual(
+      new BSDate(2082, 5, 25)
+    );
+    expect(() => new Date(1942, 5, 25).toBS()).toThrow(DateOutOfRangeError);
+  });
+});
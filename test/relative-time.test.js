@@ -0,0 +1,198 @@
+import BSDate from "../src/bs-date.js";
+import { BSDateTime } from "../src/bs-date-time.js";
+import { formatRelativeTime } from "../src/relative-time.js";
+import { jest } from "@jest/globals";
+
+describe("Relative dates", () => {
+  const base = new BSDate(2082, 5, 25);
+
+  it("should describe days in Nepali", () => {
+    expect(formatRelativeTime(new BSDate(2082, 5, 22), { base })).toBe(
+      "३ दिन अघि"
+    );
+    expect(formatRelativeTime(new BSDate(2082, 6, 5), { base })).toBe(
+      "११ दिन पछि"
+    );
+  });
+
+  it("should use named days, months and years", () => {
+    const named = [
+      [new BSDate(2082, 5, 23), "अस्ति"],
+      [new BSDate(2082, 5, 24), "हिजो"],
+      [new BSDate(2082, 5, 25), "आज"],
+      [new BSDate(2082, 5, 26), "भोलि"],
+      [new BSDate(2082, 5, 27), "पर्सि"],
+      [new BSDate(2082, 6, 25), "अर्को महिना"],
+      [new BSDate(2082, 4, 25), "गएको महिना"],
+      [new BSDate(2083, 5, 25), "अर्को वर्ष"],
+    ];
+
+    for (const [date, expected] of named) {
+      expect(formatRelativeTime(date, { base })).toBe(expected);
+    }
+  });
+
+  it("should count months and years in BS terms", () => {
+    // Bhadra 2082 has 31 days, so Ashwin 25 is one BS month later
+    expect(
+      formatRelativeTime(new BSDate(2082, 6, 25), { base, numeric: "always" })
+    ).toBe("१ महिना पछि");
+    expect(formatRelativeTime(new BSDate(2082, 9, 25), { base })).toBe(
+      "४ महिना पछि"
+    );
+    expect(formatRelativeTime(new BSDate(2079, 5, 26), { base })).toBe(
+      "२ वर्ष अघि"
+    );
+  });
+
+  it("should round up to the next unit once a threshold is passed", () => {
+    // 26 days is less than a complete month but past the day threshold
+    expect(formatRelativeTime(new BSDate(2082, 6, 20), { base })).toBe(
+      "अर्को महिना"
+    );
+    expect(
+      formatRelativeTime(new BSDate(2082, 6, 20), {
+        base,
+        thresholds: { day: 30 },
+      })
+    ).toBe("२६ दिन पछि");
+  });
+
+  it("should name only the adjacent calendar month or year", () => {
+    expect(
+      formatRelativeTime(new BSDate(2082, 5, 31), {
+        base: new BSDate(2082, 5, 1),
+      })
+    ).toBe("१ महिना पछि");
+    expect(
+      formatRelativeTime(new BSDate(2082, 4, 1), {
+        base: new BSDate(2082, 4, 30),
+      })
+    ).toBe("१ महिना अघि");
+    expect(
+      formatRelativeTime(new BSDate(2082, 6, 5), {
+        base: new BSDate(2082, 4, 20),
+      })
+    ).toBe("१ महिना पछि");
+  });
+
+  it("should name only the adjacent calendar week", () => {
+    const saturday = new BSDate(2082, 5, 28);
+    const sunday = new BSDate(2082, 5, 29);
+    const options = { units: ["day", "week"], thresholds: { day: 1 } };
+    expect(formatRelativeTime(sunday, { base: saturday, ...options })).toBe(
+      "अर्को हप्ता"
+    );
+    expect(formatRelativeTime(saturday, { base: sunday, ...options })).toBe(
+      "गएको हप्ता"
+    );
+    // Sunday to Saturday is 6 days within the same week
+    expect(
+      formatRelativeTime(saturday, {
+        base: new BSDate(2082, 5, 22),
+        ...options,
+      })
+    ).toBe("१ हप्ता पछि");
+    expect(
+      formatRelativeTime(saturday, { base: sunday, units: ["week"] })
+    ).toBe("० हप्ता अघि");
+  });
+
+  it("should restrict the units", () => {
+    expect(
+      formatRelativeTime(new BSDate(2082, 6, 8), {
+        base,
+        units: ["day", "week"],
+        thresholds: { day: 7 },
+      })
+    ).toBe("२ हप्ता पछि");
+    expect(
+      formatRelativeTime(new BSDate(2083, 9, 25), { base, units: ["day"] })
+    ).toBe("४८६ दिन पछि");
+  });
+
+  it("should produce romanized output", () => {
+    const options = { base, script: "roman" };
+
+    expect(formatRelativeTime(new BSDate(2082, 5, 22), options)).toBe(
+      "3 din aghi"
+    );
+    expect(formatRelativeTime(new BSDate(2082, 5, 26), options)).toBe("bholi");
+    expect(formatRelativeTime(new BSDate(2082, 6, 25), options)).toBe(
+      "arko mahina"
+    );
+  });
+
+  it("should be available on BSDate", () => {
+    expect(new BSDate(2082, 5, 22).fromNow({ base })).toBe("३ दिन अघि");
+  });
+});
+
+describe("Relative instants", () => {
+  const base = new BSDateTime(2082, 5, 25, 14, 0);
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should describe seconds, minutes and hours", () => {
+    expect(formatRelativeTime(base, { base })).toBe("अहिले");
+    expect(formatRelativeTime(base.addSeconds(-20), { base })).toBe(
+      "२० सेकेन्ड अघि"
+    );
+    expect(formatRelativeTime(base.addMinutes(5), { base })).toBe(
+      "५ मिनेट पछि"
+    );
+    expect(formatRelativeTime(base.addMinutes(-50), { base })).toBe(
+      "१ घण्टा अघि"
+    );
+    expect(
+      formatRelativeTime(base.addHours(3), { base, script: "roman" })
+    ).toBe("3 ghanta pachhi");
+  });
+
+  it("should switch to calendar days after the hour threshold", () => {
+    expect(formatRelativeTime(base.addHours(23), { base })).toBe("भोलि");
+    expect(formatRelativeTime(base.addHours(-40), { base })).toBe("अस्ति");
+  });
+
+  it("should measure from the current time by default", () => {
+    jest.useFakeTimers({ now: new Date("2025-09-10T08:15:00Z") });
+
+    expect(formatRelativeTime(new Date("2025-09-10T08:10:00Z"))).toBe(
+      "५ मिनेट अघि"
+    );
+    expect(new BSDate(2082, 5, 24).fromNow()).toBe("हिजो");
+    expect(new BSDateTime(2082, 5, 25, 16, 0).fromNow()).toBe("२ घण्टा पछि");
+  });
+
+  it("should compare AD instants by Nepali calendar day", () => {
+    // 2025-09-09T18:30Z is already Bhadra 25 in Nepal
+    const options = { base: new BSDate(2082, 5, 24) };
+    expect(formatRelativeTime(new Date("2025-09-09T18:30:00Z"), options)).toBe(
+      "भोलि"
+    );
+    expect(
+      formatRelativeTime(new Date("2025-09-09T18:30:00Z"), {
+        ...options,
+        timeZone: "UTC",
+      })
+    ).toBe("आज");
+  });
+
+  it("should validate its options", () => {
+    expect(() => formatRelativeTime(base, { script: "latin" })).toThrow(
+      RangeError
+    );
+    expect(() => formatRelativeTime(base, { numeric: "never" })).toThrow(
+      RangeError
+    );
+    expect(() => formatRelativeTime(base, { units: ["fortnight"] })).toThrow(
+      'Unsupported unit "fortnight"'
+    );
+    expect(() =>
+      formatRelativeTime(new BSDate(2082, 5, 25), { units: ["hour"] })
+    ).toThrow(RangeError);
+    expect(() => formatRelativeTime("2082-05-25")).toThrow(TypeError);
+  });
+});
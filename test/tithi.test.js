@@ -0,0 +1,92 @@
+import BSDate from "../src/bs-date.js";
+import { tithiOf } from "../src/tithi.js";
+
+/**
+ * Tithis at sunrise from published panchangas: festivals fixed by tithi and
+ * the full and new moons of eclipses across the supported range.
+ */
+const PANCHANGA = [
+  // Ghatasthapana, Ashwin shukla pratipada
+  [new BSDate(2082, 6, 6), 1],
+  // Vijaya Dashami, Ashwin shukla dashami
+  [new BSDate(2082, 6, 16), 10],
+  [new BSDate(2080, 7, 7), 10],
+  // Laxmi Puja, Kartik aunsi
+  [new BSDate(2082, 7, 5), 30],
+  // Buddha Jayanti, Baisakh purnima
+  [new BSDate(2082, 1, 29), 15],
+  [new BSDate(2070, 2, 11), 15],
+  // Janai Purnima, Shrawan purnima
+  [new BSDate(2082, 4, 25), 15],
+  // Krishna Janmashtami, Bhadra krishna ashtami
+  [new BSDate(2082, 4, 32), 23],
+  // Haritalika Teej, Bhadra shukla tritiya
+  [new BSDate(2082, 5, 10), 3],
+  // Solar eclipses of 1955-06-20, 1980-02-16 and 2034-03-20
+  [new BSDate(2012, 3, 6), 30],
+  [new BSDate(2036, 11, 4), 30],
+  [new BSDate(2090, 12, 6), 30],
+  // Lunar eclipse of 2018-07-27
+  [new BSDate(2075, 4, 11), 15],
+];
+
+describe("Tithi", () => {
+  it("should match published panchangas", () => {
+    for (const [date, number] of PANCHANGA) {
+      expect([date.toString(), date.tithi().number]).toStrictEqual([
+        date.toString(),
+        number,
+      ]);
+    }
+  });
+
+  it("should name the tithi and paksha", () => {
+    expect(new BSDate(2082, 6, 16).tithi()).toMatchObject({
+      number: 10,
+      day: 10,
+      paksha: "shukla",
+      name: "दशमी",
+      pakshaName: "शुक्ल पक्ष",
+    });
+    expect(new BSDate(2082, 4, 32).tithi({ script: "roman" })).toMatchObject({
+      number: 23,
+      day: 8,
+      paksha: "krishna",
+      name: "Ashtami",
+      pakshaName: "Krishna Paksha",
+    });
+    expect(new BSDate(2082, 1, 29).tithi().name).toBe("पूर्णिमा");
+    expect(new BSDate(2082, 7, 5).tithi({ script: "roman" }).name).toBe(
+      "Aunsi"
+    );
+  });
+
+  it("should give the end of the tithi within minutes of the panchanga", () => {
+    const cases = [
+      // Ashtami ends at 21:34 IST, Dashami at 15:14 IST
+      [new BSDate(2082, 4, 32), Date.UTC(2025, 7, 16, 16, 4)],
+      [new BSDate(2080, 7, 7), Date.UTC(2023, 9, 24, 9, 44)],
+    ];
+    for (const [date, end] of cases) {
+      const { endsAt } = date.tithi();
+      expect(Math.abs(endsAt.getTime() - end)).toBeLessThan(5 * 60 * 1000);
+    }
+  });
+
+  it("should advance by zero, one or two tithis a day", () => {
+    let previous = new BSDate(2081, 1, 1).tithi().number;
+    for (let day = 1; day < 366; day++) {
+      const date = new BSDate(2081, 1, 1).addDays(day);
+      const tithi = date.tithi();
+      expect([0, 1, 2]).toContain((tithi.number - previous + 30) % 30);
+      expect(tithi.endsAt.getTime()).toBeGreaterThan(date.toAD().getTime());
+      previous = tithi.number;
+    }
+  });
+
+  it("should reject unsupported scripts", () => {
+    expect(() => tithiOf(new BSDate(2082, 5, 25), { script: "latin" })).toThrow(
+      RangeError
+    );
+  });
+});